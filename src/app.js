@@ -10,6 +10,9 @@ const compression = require('compression');
 const mongoSanitize = require('express-mongo-sanitize');
 const rateLimit = require('express-rate-limit');
 
+const { getJwks } = require('./utils/jwtKeys');
+const { mediaRouter } = require('./config/storage');
+
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const profileRoutes = require('./routes/profileRoutes');
@@ -17,6 +20,7 @@ const userRoutes = require('./routes/userRoutes');
 const messageRoutes = require('./routes/messageRoutes');
 const messageRequestRoutes = require('./routes/messageRequestRoutes');
 const searchRoutes = require('./routes/searchRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
 const discoveryRoutes = require('./routes/discoveryRoutes');
 const blockRoutes = require('./routes/blockRoutes');
 const reportRoutes = require('./routes/reportRoutes');
@@ -92,6 +96,19 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying access tokens
+app.get('/.well-known/jwks.json', async (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(await getJwks());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Media stored by the local storage driver
+app.use('/media', mediaRouter);
+
 // API version
 const API_VERSION = process.env.API_VERSION || 'v1';
 
@@ -102,6 +119,7 @@ app.use(`/api/${API_VERSION}/users`, userRoutes);
 app.use(`/api/${API_VERSION}/messages`, messageRoutes);
 app.use(`/api/${API_VERSION}/requests`, messageRequestRoutes);
 app.use(`/api/${API_VERSION}/search`, searchRoutes);
+app.use(`/api/${API_VERSION}/organizations`, organizationRoutes);
 app.use(`/api/${API_VERSION}/discover`, discoveryRoutes);
 app.use(`/api/${API_VERSION}/block`, blockRoutes);
 app.use(`/api/${API_VERSION}/report`, reportRoutes);
@@ -0,0 +1,22 @@
+/**
+ * Google OAuth Configuration
+ */
+
+const { OAuth2Client } = require('google-auth-library');
+
+// Google OAuth client
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+// Verify a Google ID token and return its payload
+const verifyGoogleIdToken = async (idToken) => {
+  const ticket = await googleClient.verifyIdToken({
+    idToken,
+    audience: process.env.GOOGLE_CLIENT_ID
+  });
+  return ticket.getPayload();
+};
+
+module.exports = {
+  googleClient,
+  verifyGoogleIdToken
+};
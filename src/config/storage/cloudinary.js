@@ -0,0 +1,56 @@
+/**
+ * Cloudinary storage driver
+ * Only the processed image is uploaded - variants (blur, thumbnail) are Cloudinary URL transformations
+ */
+
+const { cloudinary } = require('../cloudinary');
+
+// Private files are stored as authenticated assets
+const deliveryType = (visibility) => (visibility === 'private' ? 'authenticated' : 'upload');
+
+const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  upload: (image, { folder, visibility }) => {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream({
+        folder,
+        type: deliveryType(visibility),
+        format: image.extension
+      }, (error, result) => {
+        if (error) return reject(error);
+        resolve({ key: result.public_id, url: result.secure_url });
+      });
+      stream.end(image.buffer);
+    });
+  },
+
+  delete: (key, { visibility } = {}) => {
+    return cloudinary.uploader.destroy(key, { type: deliveryType(visibility) });
+  },
+
+  getSignedUrl: (key) => {
+    return cloudinary.url(key, {
+      type: 'authenticated',
+      sign_url: true,
+      secure: true,
+      format: 'jpg'
+    });
+  },
+
+  getVariantUrl: (url, variant) => {
+    const transformation = variant === 'blur' ? 'e_blur:1000' : 'w_150,h_150,c_fill';
+    return url.replace('/upload/', `/upload/${transformation}/`);
+  },
+
+  getKeyFromUrl: (url) => {
+    const parts = url.split('/');
+    const filename = parts[parts.length - 1];
+    const folder = parts[parts.length - 2];
+    return `${folder}/${filename.split('.')[0]}`;
+  },
+
+  ownsUrl: (url) => url.includes('res.cloudinary.com/')
+};
+
+module.exports = cloudinaryDriver;
@@ -0,0 +1,181 @@
+/**
+ * Media Storage
+ * Uploads, deletes and image URLs go through a driver selected with STORAGE_DRIVER
+ * (defaults to Cloudinary when it is configured, local disk otherwise).
+ *
+ * Uploads are processed (utils/imageProcessing) before they reach the driver.
+ *
+ * A driver is an object with:
+ *   upload(image, { folder, visibility }) -> { key, url }
+ *     image is the processed upload: { buffer, extension, variants: { thumbnail, blur } }
+ *   delete(key, { visibility })
+ *   getSignedUrl(key)            - short-lived URL for a private file
+ *   getVariantUrl(url, variant)  - 'blur' or 'thumbnail'
+ *   getKeyFromUrl(url)
+ *   ownsUrl(url)                 - whether a stored URL was produced by this driver
+ */
+
+const multer = require('multer');
+const logger = require('../../utils/logger');
+const { processImage } = require('../../utils/imageProcessing');
+const cloudinaryDriver = require('./cloudinary');
+const localDriver = require('./local');
+
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver
+};
+
+/**
+ * Register an additional driver (e.g. S3)
+ */
+const registerStorageDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+const getStorageDriver = () => {
+  const name = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Stored URLs outlive driver switches, so variants come from the driver that produced the URL
+const getDriverForUrl = (url) => {
+  return Object.values(drivers).find(driver => driver.ownsUrl(url)) || getStorageDriver();
+};
+
+/**
+ * Create upload middleware that processes a single image and stores it through the active driver.
+ * Sets req.file.path (URL), req.file.filename (storage key), req.file.width/height
+ * and, for public files, req.file.thumbnailUrl.
+ */
+const createUploader = ({ folder, visibility = 'public', maxDimension, format, allowedTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
+    },
+    fileFilter: (req, file, cb) => {
+      if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only image files are allowed'), false);
+      }
+    }
+  });
+
+  return {
+    single: (field) => (req, res, next) => {
+      upload.single(field)(req, res, async (err) => {
+        if (err || !req.file) return next(err);
+
+        let image;
+        try {
+          image = await processImage(req.file.buffer, {
+            maxDimension,
+            format,
+            withVariants: visibility !== 'private'
+          });
+        } catch (error) {
+          logger.warn(`Rejected upload ${req.file.originalname}: ${error.message}`);
+          return next(new Error('Invalid or unsupported image file'));
+        }
+
+        try {
+          const { key, url } = await getStorageDriver().upload(image, { folder, visibility });
+          req.file.path = url;
+          req.file.filename = key;
+          req.file.width = image.width;
+          req.file.height = image.height;
+          req.file.size = image.buffer.length;
+          req.file.mimetype = `image/${image.format}`;
+          if (visibility !== 'private') {
+            req.file.thumbnailUrl = getThumbnailUrl(url);
+          }
+          delete req.file.buffer;
+          next();
+        } catch (error) {
+          logger.error('Error storing uploaded file:', error);
+          next(new Error('Error uploading file'));
+        }
+      });
+    }
+  };
+};
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Upload middleware
+const uploadProfilePhoto = createUploader({
+  folder: 'bibbly/profiles',
+  maxDimension: 800,
+  format: 'jpg',
+  allowedTypes: IMAGE_TYPES
+});
+
+const uploadChatMedia = createUploader({
+  folder: 'bibbly/chat',
+  maxDimension: 1200,
+  allowedTypes: [...IMAGE_TYPES, 'image/gif']
+});
+
+// Verification selfies are private - only reviewers get (signed) URLs
+const uploadVerificationSelfie = createUploader({
+  folder: 'bibbly/verifications',
+  visibility: 'private',
+  maxDimension: 1200,
+  format: 'jpg',
+  allowedTypes: IMAGE_TYPES
+});
+
+// Delete a stored image (options.visibility 'private' for private files)
+const deleteImage = async (key, options = {}) => {
+  try {
+    return await getStorageDriver().delete(key, options);
+  } catch (error) {
+    logger.error('Error deleting image from storage:', error);
+    throw error;
+  }
+};
+
+// Get the storage key from a stored URL
+const getPublicIdFromUrl = (url) => {
+  if (!url) return null;
+  return getDriverForUrl(url).getKeyFromUrl(url);
+};
+
+// Get the blurred variant of an image
+const getBlurredImageUrl = (url) => {
+  if (!url) return null;
+  return getDriverForUrl(url).getVariantUrl(url, 'blur');
+};
+
+// Get the thumbnail variant of an image
+const getThumbnailUrl = (url) => {
+  if (!url) return null;
+  return getDriverForUrl(url).getVariantUrl(url, 'thumbnail');
+};
+
+// Generate a signed URL for a private image
+const getSignedImageUrl = (key) => {
+  if (!key) return null;
+  return getStorageDriver().getSignedUrl(key);
+};
+
+module.exports = {
+  uploadProfilePhoto,
+  uploadChatMedia,
+  uploadVerificationSelfie,
+  deleteImage,
+  getPublicIdFromUrl,
+  getBlurredImageUrl,
+  getThumbnailUrl,
+  getSignedImageUrl,
+  registerStorageDriver,
+  getStorageDriver,
+  // Serves files written by the local driver
+  mediaRouter: localDriver.router
+};
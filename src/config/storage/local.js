@@ -0,0 +1,119 @@
+/**
+ * Local filesystem storage driver
+ * Files live under LOCAL_STORAGE_DIR and are served by the API at /media.
+ * Generated variants (blur, thumbnail) are written next to the original.
+ * Private files are only reachable through signed, expiring URLs.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { VARIANT_NAMES } = require('../../utils/imageProcessing');
+
+const SIGNED_URL_TTL_SECONDS = 60 * 60; // 1 hour
+
+// Keys look like "bibbly/profiles/3f9c...e1.jpg"
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*\.\w+$/;
+
+const getRoot = () => path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+
+const getDir = (visibility) => path.join(getRoot(), visibility === 'private' ? 'private' : 'public');
+
+const getBaseUrl = () => {
+  const apiUrl = process.env.STORAGE_PUBLIC_URL || process.env.API_URL || `http://localhost:${process.env.PORT || 5001}`;
+  return `${apiUrl.replace(/\/$/, '')}/media`;
+};
+
+const getVariantKey = (key, variant) => key.replace(/\.\w+$/, `_${variant}.jpg`);
+
+const sign = (key, expires) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${key}:${expires}`)
+    .digest('hex');
+};
+
+const writeFile = async (dir, key, data) => {
+  const filePath = path.join(dir, key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, data);
+};
+
+const localDriver = {
+  name: 'local',
+
+  upload: async (image, { folder, visibility }) => {
+    const key = `${folder}/${crypto.randomBytes(12).toString('hex')}.${image.extension}`;
+    const dir = getDir(visibility);
+    await writeFile(dir, key, image.buffer);
+
+    await Promise.all(Object.entries(image.variants).map(([variant, data]) => {
+      return writeFile(dir, getVariantKey(key, variant), data);
+    }));
+
+    return { key, url: `${getBaseUrl()}/${key}` };
+  },
+
+  delete: async (key, { visibility } = {}) => {
+    if (!KEY_PATTERN.test(key)) return { result: 'not found' };
+
+    const dir = getDir(visibility);
+    const keys = [key, ...VARIANT_NAMES.map(variant => getVariantKey(key, variant))];
+    await Promise.all(keys.map(k => fs.rm(path.join(dir, k), { force: true })));
+    return { result: 'ok' };
+  },
+
+  getSignedUrl: (key) => {
+    const expires = Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS;
+    return `${getBaseUrl()}/private/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+  },
+
+  getVariantUrl: (url, variant) => {
+    const [base, query] = url.split('?');
+    return getVariantKey(base, variant) + (query ? `?${query}` : '');
+  },
+
+  getKeyFromUrl: (url) => url.split('?')[0].slice(getBaseUrl().length + 1),
+
+  ownsUrl: (url) => url.startsWith(`${getBaseUrl()}/`)
+};
+
+/**
+ * Router serving local files, mounted at /media
+ */
+const router = express.Router();
+
+// The app and web client load these from another origin
+router.use((req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
+
+router.get('/private/*', (req, res) => {
+  const key = req.params[0];
+  const expires = parseInt(req.query.expires, 10);
+  const signature = String(req.query.signature || '');
+
+  const expected = KEY_PATTERN.test(key) && expires ? sign(key, expires) : null;
+  if (
+    !expected ||
+    expires < Date.now() / 1000 ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return res.status(403).json({ success: false, message: 'Invalid or expired link' });
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(path.join(getDir('private'), key), (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ success: false, message: 'File not found' });
+    }
+  });
+});
+
+router.use(express.static(getDir('public'), { index: false, maxAge: '30d' }));
+
+localDriver.router = router;
+
+module.exports = localDriver;
@@ -3,6 +3,7 @@
  * Handles all admin operations - app configuration, users, moderation
  */
 
+const mongoose = require('mongoose');
 const AppConfig = require('../models/AppConfig');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
@@ -13,7 +14,14 @@ const Conversation = require('../models/Conversation');
 const Feedback = require('../models/Feedback');
 const ActivityLog = require('../models/ActivityLog');
 const Message = require('../models/Message');
+const SigningKey = require('../models/SigningKey');
+const Organization = require('../models/Organization');
+const VerificationRequest = require('../models/VerificationRequest');
+const Notification = require('../models/Notification');
 const ApiResponse = require('../utils/apiResponse');
+const { rotateSigningKey } = require('../utils/jwtKeys');
+const { escapeRegex } = require('../utils/helpers');
+const { getSignedImageUrl, deleteImage } = require('../config/storage');
 const logger = require('../utils/logger');
 
 // ==================== APP CONFIGURATION ====================
@@ -130,8 +138,8 @@ const getUsers = async (req, res) => {
     if (status) query.accountStatus = status;
     if (search) {
       query.$or = [
-        { email: new RegExp(search, 'i') },
-        { username: new RegExp(search, 'i') }
+        { email: new RegExp(escapeRegex(search), 'i') },
+        { username: new RegExp(escapeRegex(search), 'i') }
       ];
     }
     
@@ -792,11 +800,12 @@ const getAnalytics = async (req, res) => {
  */
 const getActivityLogs = async (req, res) => {
   try {
-    const { action, entityType, actor, page = 1, limit = 100 } = req.query;
+    const { action, entityType, entityId, actor, page = 1, limit = 100 } = req.query;
     
     const filters = {};
     if (action) filters.action = action;
     if (entityType) filters.entityType = entityType;
+    if (entityId) filters.entityId = entityId;
     if (actor) filters.actor = actor;
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -998,6 +1007,678 @@ const getBlockStats = async (req, res) => {
   }
 };
 
+// ==================== SECURITY ====================
+
+/**
+ * @desc    Get access token signing keys
+ * @route   GET /api/v1/admin/security/signing-keys
+ * @access  Admin
+ */
+const getSigningKeys = async (req, res) => {
+  try {
+    const keys = await SigningKey.find()
+      .select('kid algorithm status createdAt retiredAt expiresAt createdBy')
+      .sort({ createdAt: -1 });
+
+    return ApiResponse.success(res, { keys });
+  } catch (error) {
+    logger.error('Get signing keys error:', error);
+    return ApiResponse.error(res, 'Error fetching signing keys');
+  }
+};
+
+/**
+ * @desc    Rotate access token signing key
+ * @route   POST /api/v1/admin/security/rotate-keys
+ * @access  Admin
+ */
+const rotateSigningKeys = async (req, res) => {
+  try {
+    const result = await rotateSigningKey(req.userId);
+
+    await ActivityLog.log({
+      actor: req.userId,
+      actorType: 'admin',
+      action: 'signing_key_rotated',
+      entityType: 'system',
+      details: result,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Signing key rotated by admin ${req.userId}`);
+
+    return ApiResponse.success(res, result, 'Signing key rotated. Existing tokens remain valid until they expire.');
+  } catch (error) {
+    logger.error('Rotate signing keys error:', error);
+    return ApiResponse.error(res, 'Error rotating signing keys');
+  }
+};
+
+// ==================== ORGANIZATIONS ====================
+
+// Profile fields that point at an organization of each type
+const ORGANIZATION_PROFILE_FIELDS = {
+  college: { ref: 'college.organization', name: 'college.name' },
+  company: { ref: 'workplace.organization', name: 'workplace.company' }
+};
+
+const ORGANIZATION_UPDATABLE_FIELDS = ['name', 'aliases', 'city', 'country', 'emailDomains', 'logoUrl', 'status'];
+
+/**
+ * @desc    Get organizations with filters
+ * @route   GET /api/v1/admin/organizations
+ * @access  Admin
+ */
+const getOrganizations = async (req, res) => {
+  try {
+    const { type, status, search, page = 1, limit = 50 } = req.query;
+
+    const query = { status: { $ne: 'merged' } };
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (search) {
+      query.searchKeys = { $regex: escapeRegex(Organization.normalizeName(search)) };
+    }
+
+    const organizations = await Organization.find(query)
+      .sort({ status: -1, name: 1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await Organization.countDocuments(query);
+
+    return ApiResponse.paginated(res, organizations, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total
+    });
+  } catch (error) {
+    logger.error('Get organizations error:', error);
+    return ApiResponse.error(res, 'Error fetching organizations');
+  }
+};
+
+/**
+ * @desc    Create organization
+ * @route   POST /api/v1/admin/organizations
+ * @access  Admin
+ */
+const createOrganization = async (req, res) => {
+  try {
+    const { name, type, aliases, city, country, emailDomains, logoUrl } = req.body;
+
+    if (!name || !ORGANIZATION_PROFILE_FIELDS[type]) {
+      return ApiResponse.badRequest(res, 'Name and a valid type (college or company) are required');
+    }
+
+    const organization = await Organization.create({
+      name,
+      type,
+      aliases,
+      city,
+      country,
+      emailDomains,
+      logoUrl,
+      status: 'active',
+      createdBy: req.userId
+    });
+
+    await ActivityLog.log({
+      actor: req.userId,
+      actorType: 'admin',
+      action: 'organization_created',
+      entityType: 'organization',
+      entityId: organization._id,
+      details: { name, type },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    return ApiResponse.created(res, { organization }, 'Organization created');
+  } catch (error) {
+    if (error.code === 11000) {
+      return ApiResponse.conflict(res, 'Another organization already uses this name or alias');
+    }
+    logger.error('Create organization error:', error);
+    return ApiResponse.error(res, 'Error creating organization');
+  }
+};
+
+/**
+ * @desc    Update organization (rename, aliases, email domains, approve)
+ * @route   PUT /api/v1/admin/organizations/:organizationId
+ * @access  Admin
+ */
+const updateOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.organizationId);
+
+    if (!organization || organization.status === 'merged') {
+      return ApiResponse.notFound(res, 'Organization not found');
+    }
+
+    if (req.body.status && !['active', 'pending'].includes(req.body.status)) {
+      return ApiResponse.badRequest(res, 'Use the merge endpoint to merge organizations');
+    }
+
+    const updates = {};
+    ORGANIZATION_UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const oldName = organization.name;
+    Object.assign(organization, updates);
+    await organization.save();
+
+    // Keep the display name on linked profiles in sync
+    if (organization.name !== oldName) {
+      const fields = ORGANIZATION_PROFILE_FIELDS[organization.type];
+      await Profile.updateMany(
+        { [fields.ref]: organization._id },
+        { $set: { [fields.name]: organization.name } }
+      );
+    }
+
+    await ActivityLog.log({
+      actor: req.userId,
+      actorType: 'admin',
+      action: 'organization_updated',
+      entityType: 'organization',
+      entityId: organization._id,
+      details: updates,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    return ApiResponse.success(res, { organization }, 'Organization updated');
+  } catch (error) {
+    if (error.code === 11000) {
+      return ApiResponse.conflict(res, 'Another organization already uses this name or alias');
+    }
+    logger.error('Update organization error:', error);
+    return ApiResponse.error(res, 'Error updating organization');
+  }
+};
+
+/**
+ * @desc    Merge a duplicate organization into another
+ * @route   POST /api/v1/admin/organizations/:organizationId/merge
+ * @access  Admin
+ */
+const mergeOrganization = async (req, res) => {
+  try {
+    const { targetId } = req.body;
+
+    if (!targetId || targetId === req.params.organizationId) {
+      return ApiResponse.badRequest(res, 'A different target organization is required');
+    }
+
+    const [source, target] = await Promise.all([
+      Organization.findById(req.params.organizationId),
+      Organization.findById(targetId)
+    ]);
+
+    if (!source || !target || source.status === 'merged' || target.status === 'merged') {
+      return ApiResponse.notFound(res, 'Organization not found');
+    }
+    if (source.type !== target.type) {
+      return ApiResponse.badRequest(res, 'Organizations must be of the same type');
+    }
+
+    // Free the source's names so they can become aliases of the target (names are unique per type).
+    // The source is only retired once its profiles have moved, so an interrupted merge can be re-run
+    await Organization.updateOne({ _id: source._id }, { $unset: { searchKeys: 1 } });
+
+    const targetKey = Organization.normalizeName(target.name);
+    const aliases = [...(target.aliases || []), source.name, ...(source.aliases || [])];
+    target.aliases = aliases.filter((alias, index) => {
+      const key = Organization.normalizeName(alias);
+      return key && key !== targetKey &&
+        aliases.findIndex(a => Organization.normalizeName(a) === key) === index;
+    });
+    target.emailDomains = [...new Set([...(target.emailDomains || []), ...(source.emailDomains || [])])];
+    try {
+      await target.save();
+    } catch (error) {
+      await Organization.updateOne({ _id: source._id }, { $set: { searchKeys: source.searchKeys } });
+      throw error;
+    }
+
+    // Flatten earlier merges and move profiles over
+    await Organization.updateMany({ mergedInto: source._id }, { $set: { mergedInto: target._id } });
+
+    const fields = ORGANIZATION_PROFILE_FIELDS[target.type];
+    const result = await Profile.updateMany(
+      { [fields.ref]: source._id },
+      { $set: { [fields.ref]: target._id, [fields.name]: target.name } }
+    );
+
+    source.status = 'merged';
+    source.mergedInto = target._id;
+    await source.save();
+
+    await ActivityLog.log({
+      actor: req.userId,
+      actorType: 'admin',
+      action: 'organization_merged',
+      entityType: 'organization',
+      entityId: target._id,
+      details: { mergedFrom: source._id, name: source.name, profilesMoved: result.modifiedCount },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Organization ${source._id} merged into ${target._id} by admin ${req.userId}`);
+
+    return ApiResponse.success(res, {
+      organization: target,
+      profilesMoved: result.modifiedCount
+    }, 'Organizations merged');
+  } catch (error) {
+    logger.error('Merge organization error:', error);
+    return ApiResponse.error(res, 'Error merging organizations');
+  }
+};
+
+// ==================== PHOTO VERIFICATION ====================
+
+/**
+ * Helper function to add a reviewer-only selfie URL to a verification request
+ */
+const formatVerificationForReview = (request) => {
+  const requestObj = request.toObject();
+  return {
+    ...requestObj,
+    prompt: VerificationRequest.getGesturePrompt(request.gesture),
+    selfieUrl: getSignedImageUrl(request.selfie?.publicId)
+  };
+};
+
+/**
+ * @desc    Get photo verification review queue
+ * @route   GET /api/v1/admin/verifications
+ * @access  Admin
+ */
+const getVerifications = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const query = { status };
+
+    const requests = await VerificationRequest.find(query)
+      .populate('user', 'username email accountStatus createdAt')
+      .populate('profile', 'name photos isVerified')
+      .populate('reviewedBy', 'username')
+      // Oldest first so the queue is worked in order
+      .sort({ submittedAt: status === 'pending' ? 1 : -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await VerificationRequest.countDocuments(query);
+
+    return ApiResponse.paginated(res, requests.map(formatVerificationForReview), {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total
+    });
+  } catch (error) {
+    logger.error('Get verifications error:', error);
+    return ApiResponse.error(res, 'Error fetching verification requests');
+  }
+};
+
+/**
+ * @desc    Get verification request details
+ * @route   GET /api/v1/admin/verifications/:requestId
+ * @access  Admin
+ */
+const getVerificationDetails = async (req, res) => {
+  try {
+    const request = await VerificationRequest.findById(req.params.requestId)
+      .populate('user', 'username email accountStatus createdAt')
+      .populate('profile', 'name photos isVerified verifiedAt')
+      .populate('reviewedBy', 'username');
+
+    if (!request) {
+      return ApiResponse.notFound(res, 'Verification request not found');
+    }
+
+    // Earlier attempts help spot repeat rejections
+    const history = await VerificationRequest.find({
+      user: request.user._id,
+      _id: { $ne: request._id },
+      status: { $in: ['approved', 'rejected'] }
+    })
+      .select('status gesture rejectionReason reviewNotes reviewedAt')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    return ApiResponse.success(res, {
+      request: formatVerificationForReview(request),
+      history
+    });
+  } catch (error) {
+    logger.error('Get verification details error:', error);
+    return ApiResponse.error(res, 'Error fetching verification request');
+  }
+};
+
+/**
+ * @desc    Approve a verification selfie
+ * @route   POST /api/v1/admin/verifications/:requestId/approve
+ * @access  Admin
+ */
+const approveVerification = async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    const request = await VerificationRequest.findOneAndUpdate(
+      { _id: req.params.requestId, status: 'pending' },
+      {
+        status: 'approved',
+        reviewedBy: req.userId,
+        reviewedAt: new Date(),
+        reviewNotes: notes
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      return ApiResponse.notFound(res, 'Pending verification request not found');
+    }
+
+    await Profile.findByIdAndUpdate(request.profile, {
+      isVerified: true,
+      verifiedAt: new Date()
+    });
+
+    await Notification.createNotification(
+      request.user,
+      'verification_result',
+      'You\'re verified ✅',
+      'Your profile now shows a verified badge.',
+      { targetType: 'profile' }
+    );
+
+    await ActivityLog.log({
+      actor: req.userId,
+      actorType: 'admin',
+      action: 'verification_approved',
+      entityType: 'verification',
+      entityId: request._id,
+      details: { user: request.user, gesture: request.gesture, notes },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Verification ${request._id} approved by admin ${req.userId}`);
+
+    return ApiResponse.success(res, { request }, 'Verification approved');
+  } catch (error) {
+    logger.error('Approve verification error:', error);
+    return ApiResponse.error(res, 'Error approving verification');
+  }
+};
+
+/**
+ * @desc    Reject a verification selfie
+ * @route   POST /api/v1/admin/verifications/:requestId/reject
+ * @access  Admin
+ */
+const rejectVerification = async (req, res) => {
+  try {
+    const { reason, notes } = req.body;
+
+    const reasons = VerificationRequest.schema.path('rejectionReason').enumValues;
+    if (!reasons.includes(reason)) {
+      return ApiResponse.badRequest(res, `Reason must be one of: ${reasons.join(', ')}`);
+    }
+
+    const request = await VerificationRequest.findOneAndUpdate(
+      { _id: req.params.requestId, status: 'pending' },
+      {
+        status: 'rejected',
+        rejectionReason: reason,
+        reviewedBy: req.userId,
+        reviewedAt: new Date(),
+        reviewNotes: notes
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      return ApiResponse.notFound(res, 'Pending verification request not found');
+    }
+
+    await Notification.createNotification(
+      request.user,
+      'verification_result',
+      'Verification not approved',
+      'We couldn\'t verify your selfie. You can try again with a new gesture.',
+      { targetType: 'profile', metadata: { reason } }
+    );
+
+    await ActivityLog.log({
+      actor: req.userId,
+      actorType: 'admin',
+      action: 'verification_rejected',
+      entityType: 'verification',
+      entityId: request._id,
+      details: { user: request.user, gesture: request.gesture, reason, notes },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Verification ${request._id} rejected by admin ${req.userId}: ${reason}`);
+
+    return ApiResponse.success(res, { request }, 'Verification rejected');
+  } catch (error) {
+    logger.error('Reject verification error:', error);
+    return ApiResponse.error(res, 'Error rejecting verification');
+  }
+};
+
+// ==================== PHOTO MODERATION ====================
+
+// Shown to the user in the removal notification
+const PHOTO_REJECTION_REASONS = {
+  nudity: 'it contains nudity or sexual content',
+  violence: 'it contains violent or graphic content',
+  no_person: 'it doesn\'t clearly show you',
+  contact_info: 'it contains contact details or promotions',
+  impersonation: 'it appears to show someone else',
+  low_quality: 'it is too blurry or low quality',
+  other: 'it doesn\'t follow our community guidelines'
+};
+
+const MAX_PHOTOS_PER_ACTION = 100;
+
+/**
+ * Helper function to validate a bulk list of { profileId, photoId }
+ */
+const parsePhotoItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_PHOTOS_PER_ACTION) {
+    return null;
+  }
+  const valid = items.every(item =>
+    mongoose.isValidObjectId(item?.profileId) && mongoose.isValidObjectId(item?.photoId)
+  );
+  return valid ? items : null;
+};
+
+/**
+ * @desc    Get photo moderation queue (oldest uploads first)
+ * @route   GET /api/v1/admin/photos
+ * @access  Admin
+ */
+const getPhotoQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const [result] = await Profile.aggregate([
+      { $match: { 'photos.awaitingReview': true } },
+      { $unwind: '$photos' },
+      { $match: { 'photos.awaitingReview': true } },
+      { $sort: { 'photos.uploadedAt': 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (parseInt(page) - 1) * parseInt(limit) },
+            { $limit: parseInt(limit) },
+            { $project: { _id: 0, profileId: '$_id', user: 1, name: 1, isVerified: 1, photo: '$photos' } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const items = await Profile.populate(result.items, { path: 'user', model: 'User', select: 'username accountStatus' });
+
+    return ApiResponse.paginated(res, items, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: result.total[0]?.count || 0
+    });
+  } catch (error) {
+    logger.error('Get photo queue error:', error);
+    return ApiResponse.error(res, 'Error fetching photo queue');
+  }
+};
+
+/**
+ * @desc    Approve photos in bulk
+ * @route   POST /api/v1/admin/photos/approve
+ * @access  Admin
+ * Body: { photos: [{ profileId, photoId }] }
+ */
+const approvePhotos = async (req, res) => {
+  try {
+    const items = parsePhotoItems(req.body.photos);
+    if (!items) {
+      return ApiResponse.badRequest(res, `Provide between 1 and ${MAX_PHOTOS_PER_ACTION} photos as { profileId, photoId }`);
+    }
+
+    const reviewedAt = new Date();
+    const result = await Profile.bulkWrite(items.map(({ profileId, photoId }) => ({
+      updateOne: {
+        filter: { _id: profileId, 'photos._id': photoId },
+        update: {
+          $set: {
+            'photos.$.moderationStatus': 'approved',
+            'photos.$.awaitingReview': false,
+            'photos.$.reviewedAt': reviewedAt,
+            'photos.$.reviewedBy': req.userId
+          }
+        }
+      }
+    })));
+
+    // An approved photo can complete a profile that had none visible (saving re-runs the check)
+    const incompleteProfiles = await Profile.find({
+      _id: { $in: items.map(({ profileId }) => profileId) },
+      isComplete: false
+    });
+    for (const profile of incompleteProfiles) {
+      await profile.save();
+    }
+
+    await ActivityLog.log({
+      actor: req.userId,
+      actorType: 'admin',
+      action: 'photo_approved',
+      entityType: 'photo',
+      details: { photos: items, approved: result.modifiedCount },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    return ApiResponse.success(res, { approved: result.modifiedCount }, 'Photos approved');
+  } catch (error) {
+    logger.error('Approve photos error:', error);
+    return ApiResponse.error(res, 'Error approving photos');
+  }
+};
+
+/**
+ * @desc    Reject photos in bulk - deletes them from storage and notifies the owners
+ * @route   POST /api/v1/admin/photos/reject
+ * @access  Admin
+ * Body: { photos: [{ profileId, photoId }], reason, notes }
+ */
+const rejectPhotos = async (req, res) => {
+  try {
+    const { reason, notes } = req.body;
+
+    const items = parsePhotoItems(req.body.photos);
+    if (!items) {
+      return ApiResponse.badRequest(res, `Provide between 1 and ${MAX_PHOTOS_PER_ACTION} photos as { profileId, photoId }`);
+    }
+    if (!PHOTO_REJECTION_REASONS[reason]) {
+      return ApiResponse.badRequest(res, `Reason must be one of: ${Object.keys(PHOTO_REJECTION_REASONS).join(', ')}`);
+    }
+
+    // Group by profile so each owner gets one notification
+    const photoIdsByProfile = new Map();
+    items.forEach(({ profileId, photoId }) => {
+      const key = profileId.toString();
+      photoIdsByProfile.set(key, [...(photoIdsByProfile.get(key) || []), photoId.toString()]);
+    });
+
+    let rejected = 0;
+    for (const [profileId, photoIds] of photoIdsByProfile) {
+      const profile = await Profile.findById(profileId);
+      if (!profile) continue;
+
+      const removed = profile.photos.filter(p => photoIds.includes(p._id.toString()));
+      if (removed.length === 0) continue;
+
+      for (const photo of removed) {
+        if (photo.publicId) {
+          await deleteImage(photo.publicId).catch(err => logger.error(`Error deleting rejected photo ${photo._id}:`, err));
+        }
+      }
+
+      profile.photos = profile.photos.filter(p => !photoIds.includes(p._id.toString()));
+      profile.photos.forEach((photo, index) => {
+        photo.order = index;
+      });
+      if (profile.photos.length > 0 && !profile.photos.some(p => p.isMain)) {
+        profile.photos[0].isMain = true;
+      }
+      await profile.save({ validateBeforeSave: false });
+      rejected += removed.length;
+
+      await Notification.createNotification(
+        profile.user,
+        'photo_rejected',
+        removed.length === 1 ? 'Photo removed' : `${removed.length} photos removed`,
+        `${removed.length === 1 ? 'One of your photos was' : 'Some of your photos were'} removed because ${PHOTO_REJECTION_REASONS[reason]}.`,
+        { targetType: 'profile', metadata: { reason } }
+      );
+    }
+
+    await ActivityLog.log({
+      actor: req.userId,
+      actorType: 'admin',
+      action: 'photo_rejected',
+      entityType: 'photo',
+      details: { photos: items, rejected, reason, notes },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`${rejected} photos rejected by admin ${req.userId}: ${reason}`);
+
+    return ApiResponse.success(res, { rejected }, 'Photos rejected');
+  } catch (error) {
+    logger.error('Reject photos error:', error);
+    return ApiResponse.error(res, 'Error rejecting photos');
+  }
+};
+
 module.exports = {
   // Config
   getAppConfig,
@@ -1041,6 +1722,27 @@ module.exports = {
   getBlocks,
   getBlockDetails,
   removeBlock,
-  getBlockStats
+  getBlockStats,
+  
+  // Security
+  getSigningKeys,
+  rotateSigningKeys,
+  
+  // Organizations
+  getOrganizations,
+  createOrganization,
+  updateOrganization,
+  mergeOrganization,
+  
+  // Photo Verification
+  getVerifications,
+  getVerificationDetails,
+  approveVerification,
+  rejectVerification,
+  
+  // Photo Moderation
+  getPhotoQueue,
+  approvePhotos,
+  rejectPhotos
 };
 
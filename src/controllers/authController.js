@@ -5,37 +5,163 @@
 
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Notification = require('../models/Notification');
+const AppConfig = require('../models/AppConfig');
+const ActivityLog = require('../models/ActivityLog');
+const PhoneOtp = require('../models/PhoneOtp');
 const ApiResponse = require('../utils/apiResponse');
-const { sendPasswordResetEmail, sendWelcomeEmail } = require('../utils/email');
-const { generateUsername, sanitizeUser } = require('../utils/helpers');
+const { sendPasswordResetEmail, sendWelcomeEmail, sendVerificationEmail, sendAccountLockedEmail, sendMagicLinkEmail, sendNewDeviceEmail, sendEmailChangedNoticeEmail } = require('../utils/email');
+const { sendOtpSms } = require('../utils/sms');
+const { generateUsername, sanitizeUser, getDeviceInfo, normalizePhone } = require('../utils/helpers');
+const { signAccessToken } = require('../utils/jwtKeys');
+const { verifyGoogleIdToken } = require('../config/google');
 const logger = require('../utils/logger');
 
-// Google OAuth client
-const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
-
 /**
  * Generate JWT tokens
+ * sessionId identifies the refresh token family (one per device session)
+ * Access tokens are RS256-signed with the current key (kid header)
  */
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET,
+const generateTokens = async (userId, sessionId) => {
+  const accessToken = await signAccessToken(
+    { id: userId, sid: sessionId },
     { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
   );
 
   const refreshToken = jwt.sign(
-    { id: userId, type: 'refresh' },
+    { id: userId, sid: sessionId, type: 'refresh' },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
   );
 
   return { accessToken, refreshToken };
 };
 
+/**
+ * Generate short-lived token for the second login step (2FA)
+ */
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { id: userId, type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+/**
+ * Notify the user (in-app + email) about a sign-in from an unrecognised device
+ */
+const sendNewDeviceAlert = async (user, device, secureToken) => {
+  try {
+    const platform = device.platform && device.platform !== 'unknown' ? device.platform : 'new';
+
+    await Notification.createNotification(
+      user._id,
+      'security_alert',
+      'New sign-in to your account',
+      `Your account was accessed from a ${platform} device. If this wasn't you, secure your account from the email we sent.`,
+      {
+        targetType: 'settings',
+        actionUrl: '/settings/sessions',
+        metadata: { deviceId: device.deviceId, platform: device.platform, ipAddress: device.ipAddress }
+      }
+    );
+
+    await sendNewDeviceEmail(user.email, user.username, device, secureToken);
+  } catch (error) {
+    logger.error('New device alert error:', error);
+  }
+};
+
+/**
+ * Issue tokens and register the refresh token for this device
+ */
+const startSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const tokens = await generateTokens(user._id, sessionId);
+  const deviceInfo = getDeviceInfo(req);
+
+  // Check device history before the new session is added
+  const { isNew, device, secureToken } = user.recordDevice(deviceInfo);
+
+  // Store hashed refresh token as a new token family
+  user.addSession(sessionId, tokens.refreshToken, { ...deviceInfo, deviceId: device.deviceId });
+  user.loginCount += 1;
+  user.lastLoginAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  if (isNew) {
+    await sendNewDeviceAlert(user, device, secureToken);
+  }
+
+  return tokens;
+};
+
+/**
+ * Check lockout / progressive delay before a credential attempt
+ * Returns an error response if the attempt must be rejected
+ */
+const checkLoginThrottle = (user, policy, res) => {
+  if (user.isLocked()) {
+    const retryAfter = Math.ceil((user.loginSecurity.lockedUntil - Date.now()) / 1000);
+    return ApiResponse.tooManyRequests(res, 'Account temporarily locked due to too many failed login attempts. Check your email to unlock it.', { retryAfter });
+  }
+
+  const delay = user.getLoginRetryDelay(policy);
+  if (delay > 0) {
+    const retryAfter = Math.ceil(delay / 1000);
+    return ApiResponse.tooManyRequests(res, `Too many failed attempts. Please try again in ${retryAfter} seconds`, { retryAfter });
+  }
+
+  return null;
+};
+
+/**
+ * Reject sign-in while a password reset is required (after an unrecognised sign-in or email change was reported)
+ * Applies to every sign-in method, or the other methods would bypass the reset
+ */
+const checkPasswordResetRequired = (user, res) => {
+  if (user.passwordResetRequired) {
+    return ApiResponse.forbidden(res, 'For your security, please reset your password before logging in');
+  }
+  return null;
+};
+
+/**
+ * Record a failed credential attempt, locking the account if the threshold is reached
+ */
+const handleFailedLogin = async (user, policy, req) => {
+  const { user: updated, locked, unlockToken } = await User.registerFailedLogin(user._id, policy);
+
+  // Attempts racing the one that set the lock don't log or email again
+  if (unlockToken) {
+    await ActivityLog.log({
+      actor: updated._id,
+      actorType: 'system',
+      action: 'account_locked',
+      entityType: 'user',
+      entityId: updated._id,
+      details: {
+        failedAttempts: updated.loginSecurity.failedAttempts,
+        lockedUntil: updated.loginSecurity.lockedUntil
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await sendAccountLockedEmail(updated.email, unlockToken, updated.username, updated.loginSecurity.lockedUntil);
+
+    logger.warn(`Account locked after failed login attempts: ${updated.email}`);
+  }
+
+  return locked;
+};
+
 /**
  * @desc    Register new user with email/password
  * @route   POST /api/v1/auth/signup
@@ -55,15 +181,15 @@ const signup = async (req, res) => {
       return ApiResponse.badRequest(res, 'Username must be at least 6 characters');
     }
 
-    // Check if user exists by email
-    const existingUser = await User.findByEmail(email);
-    if (existingUser) {
+    // Check if user exists by email (or the address is held for an email change revert)
+    const emailAvailable = await User.isEmailAvailable(email);
+    if (!emailAvailable) {
       return ApiResponse.conflict(res, 'An account with this email already exists');
     }
 
-    // Check if username is already taken
-    const existingUsername = await User.findOne({ username: username.toLowerCase().trim() });
-    if (existingUsername) {
+    // Check if username is already taken (or held for a previous owner)
+    const usernameAvailable = await User.isUsernameAvailable(username.trim());
+    if (!usernameAvailable) {
       return ApiResponse.conflict(res, 'This username is already taken. Please choose another one.');
     }
 
@@ -78,20 +204,13 @@ const signup = async (req, res) => {
       accountStatus: 'active'
     });
 
-    // Generate tokens
-    const tokens = generateTokens(user._id);
+    // Issue email verification token (welcome email is sent once verified)
+    const verificationToken = user.createEmailVerificationToken();
 
-    // Store refresh token
-    user.refreshTokens.push({
-      token: tokens.refreshToken,
-      deviceId: req.headers['x-device-id'] || 'unknown'
-    });
-    user.loginCount = 1;
-    user.lastLoginAt = new Date();
-    await user.save({ validateBeforeSave: false });
+    // Generate tokens and store refresh token
+    const tokens = await startSession(user, req);
 
-    // Send welcome email (use username if name not provided)
-    await sendWelcomeEmail(email, username, name || username);
+    await sendVerificationEmail(email, verificationToken, name || username);
 
     // Create welcome notification
     await Notification.createNotification(
@@ -146,26 +265,40 @@ const login = async (req, res) => {
       return ApiResponse.badRequest(res, 'This account uses Google sign-in. Please use Google to login.');
     }
 
+    // Owner reported an unrecognised sign-in - password must be reset first
+    const resetRequired = checkPasswordResetRequired(user, res);
+    if (resetRequired) return resetRequired;
+
+    // Reject while locked or backing off
+    const { loginSecurity: policy } = await AppConfig.getConfig();
+    const throttled = checkLoginThrottle(user, policy, res);
+    if (throttled) return throttled;
+
     // Verify password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const locked = await handleFailedLogin(user, policy, req);
+      if (locked) {
+        return ApiResponse.tooManyRequests(res, 'Account temporarily locked due to too many failed login attempts. Check your email to unlock it.', {
+          retryAfter: policy.lockoutMinutes * 60
+        });
+      }
       return ApiResponse.unauthorized(res, 'Invalid email or password');
     }
 
-    // Generate tokens
-    const tokens = generateTokens(user._id);
+    user.resetFailedLogins();
 
-    // Store refresh token (limit to 5 devices)
-    if (user.refreshTokens.length >= 5) {
-      user.refreshTokens.shift(); // Remove oldest
+    // Require second step if 2FA is enabled
+    if (user.twoFactor?.enabled) {
+      await user.save({ validateBeforeSave: false });
+      return ApiResponse.success(res, {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      }, 'Two-factor authentication required');
     }
-    user.refreshTokens.push({
-      token: tokens.refreshToken,
-      deviceId: req.headers['x-device-id'] || 'unknown'
-    });
-    user.loginCount += 1;
-    user.lastLoginAt = new Date();
-    await user.save({ validateBeforeSave: false });
+
+    // Generate tokens and store refresh token
+    const tokens = await startSession(user, req);
 
     // Check if profile exists
     const profile = await Profile.findOne({ user: user._id });
@@ -194,12 +327,7 @@ const verifyGoogleToken = async (req, res) => {
     const { idToken } = req.body;
 
     // Verify Google token
-    const ticket = await googleClient.verifyIdToken({
-      idToken,
-      audience: process.env.GOOGLE_CLIENT_ID
-    });
-
-    const payload = ticket.getPayload();
+    const payload = await verifyGoogleIdToken(idToken);
     const { sub: googleId, email, name, picture } = payload;
 
     // Check if user exists with this Google ID or email
@@ -232,13 +360,8 @@ const googleAuth = async (req, res) => {
     const { idToken, username: providedUsername } = req.body;
 
     // Verify Google token
-    const ticket = await googleClient.verifyIdToken({
-      idToken,
-      audience: process.env.GOOGLE_CLIENT_ID
-    });
-
-    const payload = ticket.getPayload();
-    const { sub: googleId, email, name, picture } = payload;
+    const payload = await verifyGoogleIdToken(idToken);
+    const { sub: googleId, email, name, picture, email_verified: emailVerified } = payload;
 
     // Check if user exists with this Google ID
     let user = await User.findOne({ googleId });
@@ -249,17 +372,29 @@ const googleAuth = async (req, res) => {
       const existingUser = await User.findByEmail(email);
       
       if (existingUser) {
-        // Link Google to existing account
+        // Only auto-link when both sides have proven ownership of the email,
+        // otherwise the user must link Google from settings after logging in
+        if (!emailVerified || !existingUser.emailVerifiedAt) {
+          return ApiResponse.conflict(res, 'An account with this email already exists. Log in with your password and link Google from settings.');
+        }
+
         existingUser.googleId = googleId;
-        existingUser.accountStatus = 'active';
         await existingUser.save();
         user = existingUser;
+
+        logger.info(`Google linked to existing account on sign-in: ${email}`);
       } else {
         // For new users, username is required
         if (!providedUsername || providedUsername.trim().length === 0) {
           return ApiResponse.badRequest(res, 'Username is required for new accounts');
         }
 
+        // Address may be held for another account's email change revert
+        const emailAvailable = await User.isEmailAvailable(email);
+        if (!emailAvailable) {
+          return ApiResponse.conflict(res, 'An account with this email already exists');
+        }
+
         const username = providedUsername.toLowerCase().trim();
 
         // Validate username length
@@ -267,9 +402,9 @@ const googleAuth = async (req, res) => {
           return ApiResponse.badRequest(res, 'Username must be at least 6 characters');
         }
 
-        // Check if username is already taken
-        const existingUsername = await User.findOne({ username });
-        if (existingUsername) {
+        // Check if username is already taken (or held for a previous owner)
+        const usernameAvailable = await User.isUsernameAvailable(username);
+        if (!usernameAvailable) {
           return ApiResponse.conflict(res, 'This username is already taken. Please choose another one.');
         }
 
@@ -278,7 +413,8 @@ const googleAuth = async (req, res) => {
           email,
           googleId,
           username,
-          accountStatus: 'active'
+          accountStatus: 'active',
+          emailVerifiedAt: emailVerified ? new Date() : undefined
         });
 
         isNewUser = true;
@@ -304,20 +440,19 @@ const googleAuth = async (req, res) => {
       return ApiResponse.forbidden(res, 'Your account has been suspended');
     }
 
-    // Generate tokens
-    const tokens = generateTokens(user._id);
+    const resetRequired = checkPasswordResetRequired(user, res);
+    if (resetRequired) return resetRequired;
 
-    // Store refresh token
-    if (user.refreshTokens.length >= 5) {
-      user.refreshTokens.shift();
+    // Require second step if 2FA is enabled
+    if (user.twoFactor?.enabled) {
+      return ApiResponse.success(res, {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      }, 'Two-factor authentication required');
     }
-    user.refreshTokens.push({
-      token: tokens.refreshToken,
-      deviceId: req.headers['x-device-id'] || 'unknown'
-    });
-    user.loginCount += 1;
-    user.lastLoginAt = new Date();
-    await user.save({ validateBeforeSave: false });
+
+    // Generate tokens and store refresh token
+    const tokens = await startSession(user, req);
 
     // Check if profile exists
     const profile = await Profile.findOne({ user: user._id });
@@ -335,6 +470,344 @@ const googleAuth = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Request a passwordless login link
+ * @route   POST /api/v1/auth/magic-link
+ * @access  Public
+ */
+const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findByEmail(email);
+
+    // Always return success (don't reveal if email exists)
+    if (!user || ['suspended', 'deleted'].includes(user.accountStatus)) {
+      return ApiResponse.success(res, null, 'If an account exists, a login link has been sent');
+    }
+
+    const magicToken = user.createMagicLinkToken();
+    await user.save({ validateBeforeSave: false });
+
+    await sendMagicLinkEmail(user.email, magicToken, user.username);
+
+    return ApiResponse.success(res, null, 'If an account exists, a login link has been sent');
+
+  } catch (error) {
+    logger.error('Magic link request error:', error);
+    return ApiResponse.error(res, 'Error processing request');
+  }
+};
+
+/**
+ * @desc    Login with a magic link token
+ * @route   POST /api/v1/auth/magic-link/verify
+ * @access  Public
+ */
+const verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return ApiResponse.badRequest(res, 'Login token is required');
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken: hashedToken,
+        magicLinkExpires: { $gt: Date.now() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return ApiResponse.badRequest(res, 'Invalid or expired login link');
+    }
+
+    if (user.accountStatus === 'suspended') {
+      return ApiResponse.forbidden(res, 'Your account has been suspended');
+    }
+
+    if (user.accountStatus === 'deleted') {
+      return ApiResponse.unauthorized(res, 'This account has been deleted');
+    }
+
+    const resetRequired = checkPasswordResetRequired(user, res);
+    if (resetRequired) return resetRequired;
+
+    // Opening the link proves ownership of the inbox
+    if (!user.emailVerifiedAt) {
+      user.markEmailVerified();
+    }
+    user.resetFailedLogins();
+
+    // Require second step if 2FA is enabled
+    if (user.twoFactor?.enabled) {
+      await user.save({ validateBeforeSave: false });
+      return ApiResponse.success(res, {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      }, 'Two-factor authentication required');
+    }
+
+    // Generate tokens and store refresh token
+    const tokens = await startSession(user, req);
+
+    const profile = await Profile.findOne({ user: user._id });
+
+    logger.info(`User logged in via magic link: ${user.email}`);
+
+    return ApiResponse.success(res, {
+      user: sanitizeUser(user),
+      tokens,
+      profileComplete: profile ? profile.isComplete : false
+    }, 'Login successful');
+
+  } catch (error) {
+    logger.error('Magic link verify error:', error);
+    return ApiResponse.error(res, 'Error logging in');
+  }
+};
+
+/**
+ * @desc    Send a one-time code to a phone number (sign-up or login)
+ * @route   POST /api/v1/auth/phone/otp
+ * @access  Public
+ */
+const requestPhoneOtp = async (req, res) => {
+  try {
+    const { phoneAuth: policy } = await AppConfig.getConfig();
+
+    const phone = normalizePhone(req.body.phone, policy.defaultCountryCode);
+    if (!phone) {
+      return ApiResponse.badRequest(res, 'Please provide a valid phone number');
+    }
+
+    const response = {
+      phone,
+      expiresIn: policy.otpExpiryMinutes * 60,
+      resendIn: policy.resendCooldownSeconds
+    };
+
+    // Don't reveal blocked accounts - just don't send anything
+    const user = await User.findByPhone(phone);
+    if (user && ['suspended', 'deleted'].includes(user.accountStatus)) {
+      return ApiResponse.success(res, response, 'Verification code sent');
+    }
+
+    const { code, retryAfter } = await PhoneOtp.issue(phone, 'login', policy);
+    if (retryAfter) {
+      return ApiResponse.tooManyRequests(res, `Please wait ${retryAfter} seconds before requesting another code`, { retryAfter });
+    }
+
+    const sent = await sendOtpSms(phone, code, policy.otpExpiryMinutes);
+    if (!sent.success) {
+      return ApiResponse.error(res, 'Could not send verification code. Please try again.');
+    }
+
+    return ApiResponse.success(res, response, 'Verification code sent');
+
+  } catch (error) {
+    logger.error('Phone OTP request error:', error);
+    return ApiResponse.error(res, 'Error sending verification code');
+  }
+};
+
+/**
+ * @desc    Sign up or login with a phone one-time code
+ * @route   POST /api/v1/auth/phone/verify
+ * @access  Public
+ */
+const verifyPhoneOtp = async (req, res) => {
+  try {
+    const { code, username: providedUsername } = req.body;
+    const { phoneAuth: policy } = await AppConfig.getConfig();
+
+    const phone = normalizePhone(req.body.phone, policy.defaultCountryCode);
+    if (!phone) {
+      return ApiResponse.badRequest(res, 'Please provide a valid phone number');
+    }
+
+    let user = await User.findByPhone(phone);
+    let username = null;
+
+    // New numbers need a username - check it before the code is used up
+    if (!user) {
+      if (!providedUsername || providedUsername.trim().length === 0) {
+        return ApiResponse.badRequest(res, 'Username is required for new accounts');
+      }
+
+      username = providedUsername.toLowerCase().trim();
+
+      const usernameAvailable = await User.isUsernameAvailable(username);
+      if (!usernameAvailable) {
+        return ApiResponse.conflict(res, 'This username is already taken. Please choose another one.');
+      }
+    }
+
+    const result = await PhoneOtp.consume(phone, 'login', code, policy);
+    if (result === 'expired') {
+      return ApiResponse.badRequest(res, 'Verification code has expired. Please request a new one.');
+    }
+    if (result === 'invalid') {
+      return ApiResponse.unauthorized(res, 'Invalid verification code');
+    }
+
+    if (!user) {
+      user = await User.create({
+        phone,
+        phoneVerifiedAt: new Date(),
+        username,
+        accountStatus: 'active'
+      });
+
+      await Notification.createNotification(
+        user._id,
+        'welcome',
+        'Welcome to bibbly! 🎉',
+        'Complete your profile to start connecting with people you know.',
+        { targetType: 'profile', actionUrl: '/profile/setup' }
+      );
+
+      const tokens = await startSession(user, req);
+
+      logger.info(`New user registered via phone: ${user._id} with username: ${username}`);
+
+      return ApiResponse.created(res, {
+        user: sanitizeUser(user),
+        tokens,
+        profileComplete: false,
+        isNewUser: true
+      }, 'Account created successfully!');
+    }
+
+    if (user.accountStatus === 'suspended') {
+      return ApiResponse.forbidden(res, 'Your account has been suspended');
+    }
+
+    if (user.accountStatus === 'deleted') {
+      return ApiResponse.unauthorized(res, 'This account has been deleted');
+    }
+
+    const resetRequired = checkPasswordResetRequired(user, res);
+    if (resetRequired) return resetRequired;
+
+    user.resetFailedLogins();
+
+    // Require second step if 2FA is enabled
+    if (user.twoFactor?.enabled) {
+      await user.save({ validateBeforeSave: false });
+      return ApiResponse.success(res, {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      }, 'Two-factor authentication required');
+    }
+
+    // Generate tokens and store refresh token
+    const tokens = await startSession(user, req);
+
+    const profile = await Profile.findOne({ user: user._id });
+
+    logger.info(`User logged in via phone: ${user._id}`);
+
+    return ApiResponse.success(res, {
+      user: sanitizeUser(user),
+      tokens,
+      profileComplete: profile ? profile.isComplete : false,
+      isNewUser: !profile
+    }, 'Login successful');
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return ApiResponse.conflict(res, 'This phone number or username is already registered');
+    }
+    logger.error('Phone OTP verify error:', error);
+    return ApiResponse.error(res, 'Error verifying phone number');
+  }
+};
+
+/**
+ * @desc    Complete login with a 2FA code
+ * @route   POST /api/v1/auth/2fa/verify
+ * @access  Public
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return ApiResponse.badRequest(res, 'Challenge token and code are required');
+    }
+
+    // Verify challenge token
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return ApiResponse.unauthorized(res, 'Login session expired. Please login again');
+    }
+
+    if (decoded.type !== '2fa_challenge') {
+      return ApiResponse.unauthorized(res, 'Invalid challenge token');
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor?.enabled) {
+      return ApiResponse.unauthorized(res, 'Invalid challenge token');
+    }
+
+    if (user.accountStatus === 'suspended') {
+      return ApiResponse.forbidden(res, 'Your account has been suspended');
+    }
+
+    // The reset may have been required after the challenge was issued
+    const resetRequired = checkPasswordResetRequired(user, res);
+    if (resetRequired) return resetRequired;
+
+    // Code attempts count towards the same lockout as passwords
+    const { loginSecurity: policy } = await AppConfig.getConfig();
+    const throttled = checkLoginThrottle(user, policy, res);
+    if (throttled) return throttled;
+
+    const result = user.verifyTwoFactorCode(code);
+    if (!result.valid) {
+      const locked = await handleFailedLogin(user, policy, req);
+      if (locked) {
+        return ApiResponse.tooManyRequests(res, 'Account temporarily locked due to too many failed login attempts. Check your email to unlock it.', {
+          retryAfter: policy.lockoutMinutes * 60
+        });
+      }
+      return ApiResponse.unauthorized(res, 'Invalid verification code');
+    }
+
+    user.resetFailedLogins();
+
+    // Generate tokens and store refresh token
+    const tokens = await startSession(user, req);
+
+    const profile = await Profile.findOne({ user: user._id });
+
+    logger.info(`User completed 2FA login (${result.method}): ${user.email}`);
+
+    return ApiResponse.success(res, {
+      user: sanitizeUser(user),
+      tokens,
+      profileComplete: profile ? profile.isComplete : false,
+      ...(result.method === 'backup_code' && { remainingBackupCodes: result.remainingBackupCodes })
+    }, 'Login successful');
+
+  } catch (error) {
+    logger.error('2FA verify error:', error);
+    return ApiResponse.error(res, 'Error verifying code');
+  }
+};
+
 /**
  * @desc    Forgot password
  * @route   POST /api/v1/auth/forgot-password
@@ -397,6 +870,9 @@ const resetPassword = async (req, res) => {
     user.password = password;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+    // Resetting via email proves ownership, so lift any lockout
+    user.resetFailedLogins();
+    user.passwordResetRequired = false;
     // Clear all refresh tokens (logout from all devices)
     user.refreshTokens = [];
     await user.save();
@@ -412,7 +888,291 @@ const resetPassword = async (req, res) => {
 };
 
 /**
- * @desc    Refresh access token
+ * @desc    Confirm email change from the new address
+ * @route   POST /api/v1/auth/email-change/confirm
+ * @access  Public
+ */
+const confirmEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return ApiResponse.badRequest(res, 'Confirmation token is required');
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      'emailChange.token': hashedToken,
+      'emailChange.expires': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return ApiResponse.badRequest(res, 'Invalid or expired confirmation link');
+    }
+
+    // Address may have been taken since the change was requested
+    const emailAvailable = await User.isEmailAvailable(user.emailChange.newEmail, user._id);
+    if (!emailAvailable) {
+      user.emailChange = undefined;
+      await user.save({ validateBeforeSave: false });
+      return ApiResponse.conflict(res, 'This email is already in use');
+    }
+
+    const previousEmail = user.email;
+    const revertToken = user.applyEmailChange();
+    await user.save({ validateBeforeSave: false });
+
+    if (revertToken) {
+      await sendEmailChangedNoticeEmail(previousEmail, revertToken, user.username, user.email);
+    }
+
+    logger.info(`Email changed for user ${user._id}`);
+
+    return ApiResponse.success(res, { email: user.email }, 'Your email has been changed');
+
+  } catch (error) {
+    logger.error('Confirm email change error:', error);
+    return ApiResponse.error(res, 'Error confirming email change');
+  }
+};
+
+/**
+ * @desc    Revert email change from the previous address
+ * @route   POST /api/v1/auth/email-change/revert
+ * @access  Public
+ */
+const revertEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return ApiResponse.badRequest(res, 'Token is required');
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      'emailRevert.token': hashedToken,
+      'emailRevert.expires': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return ApiResponse.badRequest(res, 'Invalid or expired link');
+    }
+
+    // The address is held for the revert window, but check in case it was registered before that
+    const previousEmail = user.emailRevert.previousEmail;
+    const emailAvailable = await User.isEmailAvailable(previousEmail, user._id);
+    if (!emailAvailable) {
+      return ApiResponse.conflict(res, 'Your previous email is now used by another account. Please contact support.');
+    }
+
+    // Restore the previous address and lock out whoever changed it
+    user.email = previousEmail;
+    user.emailRevert = undefined;
+    user.emailChange = undefined;
+    user.markEmailVerified();
+    user.refreshTokens = [];
+    user.passwordResetRequired = true;
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    await sendPasswordResetEmail(user.email, resetToken, user.username);
+
+    logger.warn(`Email change reverted for user ${user._id}`);
+
+    return ApiResponse.success(res, null, 'Your email has been restored and all sessions signed out. Check your email to reset your password.');
+
+  } catch (error) {
+    logger.error('Revert email change error:', error);
+    return ApiResponse.error(res, 'Error reverting email change');
+  }
+};
+
+/**
+ * @desc    Secure account from a new-device alert ("this wasn't me")
+ * @route   POST /api/v1/auth/secure-account
+ * @access  Public
+ */
+const secureAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return ApiResponse.badRequest(res, 'Token is required');
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      knownDevices: {
+        $elemMatch: {
+          secureToken: hashedToken,
+          secureTokenExpires: { $gt: Date.now() }
+        }
+      }
+    });
+
+    if (!user) {
+      return ApiResponse.badRequest(res, 'Invalid or expired link');
+    }
+
+    // Flag the reported device so it alerts again if it signs in later
+    const device = user.knownDevices.find(d => d.secureToken === hashedToken);
+    device.reportedAt = new Date();
+    device.secureToken = undefined;
+    device.secureTokenExpires = undefined;
+
+    // Sign out everywhere and require a new password
+    user.refreshTokens = [];
+    user.passwordResetRequired = true;
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    await sendPasswordResetEmail(user.email, resetToken, user.username);
+
+    logger.warn(`Account secured after unrecognised sign-in: ${user.email} (device ${device.deviceId})`);
+
+    return ApiResponse.success(res, null, 'All sessions have been signed out. Check your email to reset your password.');
+
+  } catch (error) {
+    logger.error('Secure account error:', error);
+    return ApiResponse.error(res, 'Error securing account');
+  }
+};
+
+/**
+ * @desc    Unlock account from the lockout email link
+ * @route   POST /api/v1/auth/unlock-account
+ * @access  Public
+ */
+const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return ApiResponse.badRequest(res, 'Unlock token is required');
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      'loginSecurity.unlockToken': hashedToken,
+      'loginSecurity.unlockTokenExpires': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return ApiResponse.badRequest(res, 'Invalid or expired unlock link');
+    }
+
+    user.resetFailedLogins();
+    await user.save({ validateBeforeSave: false });
+
+    await ActivityLog.log({
+      actor: user._id,
+      actorType: 'user',
+      action: 'account_unlocked',
+      entityType: 'user',
+      entityId: user._id,
+      details: { method: 'email_link' },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Account unlocked: ${user.email}`);
+
+    return ApiResponse.success(res, null, 'Your account has been unlocked. You can now log in.');
+
+  } catch (error) {
+    logger.error('Unlock account error:', error);
+    return ApiResponse.error(res, 'Error unlocking account');
+  }
+};
+
+/**
+ * @desc    Verify email address
+ * @route   POST /api/v1/auth/verify-email
+ * @access  Public
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return ApiResponse.badRequest(res, 'Verification token is required');
+    }
+
+    // Hash token to compare
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return ApiResponse.badRequest(res, 'Invalid or expired verification link');
+    }
+
+    user.markEmailVerified();
+    await user.save({ validateBeforeSave: false });
+
+    // Send welcome email now that the account is verified
+    const profile = await Profile.findOne({ user: user._id });
+    await sendWelcomeEmail(user.email, profile?.name || user.username, user.username);
+
+    logger.info(`Email verified: ${user.email}`);
+
+    return ApiResponse.success(res, {
+      emailVerifiedAt: user.emailVerifiedAt
+    }, 'Email verified successfully');
+
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    return ApiResponse.error(res, 'Error verifying email');
+  }
+};
+
+/**
+ * @desc    Resend verification email
+ * @route   POST /api/v1/auth/verify-email/resend
+ * @access  Private
+ */
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerifiedAt) {
+      return ApiResponse.badRequest(res, 'Your email is already verified');
+    }
+
+    // Throttle resends
+    const config = await AppConfig.getConfig();
+    const cooldownMs = (config.emailVerification?.resendCooldownSeconds ?? 60) * 1000;
+    if (user.emailVerificationSentAt) {
+      const elapsed = Date.now() - user.emailVerificationSentAt.getTime();
+      if (elapsed < cooldownMs) {
+        const retryAfter = Math.ceil((cooldownMs - elapsed) / 1000);
+        return ApiResponse.tooManyRequests(res, `Please wait ${retryAfter} seconds before requesting another email`, { retryAfter });
+      }
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    await sendVerificationEmail(user.email, verificationToken, user.username);
+
+    return ApiResponse.success(res, null, 'Verification email sent');
+
+  } catch (error) {
+    logger.error('Resend verification email error:', error);
+    return ApiResponse.error(res, 'Error sending verification email');
+  }
+};
+
+/**
+ * @desc    Refresh access token (rotates the refresh token)
  * @route   POST /api/v1/auth/refresh-token
  * @access  Public
  */
@@ -432,29 +1192,67 @@ const refreshToken = async (req, res) => {
       return ApiResponse.unauthorized(res, 'Invalid or expired refresh token');
     }
 
-    // Find user and check if token exists
+    // Find user
     const user = await User.findById(decoded.id);
     
     if (!user) {
       return ApiResponse.unauthorized(res, 'User not found');
     }
 
-    const tokenExists = user.refreshTokens.some(t => t.token === token);
-    if (!tokenExists) {
-      return ApiResponse.unauthorized(res, 'Refresh token not found');
+    if (user.accountStatus === 'suspended') {
+      return ApiResponse.forbidden(res, 'Your account has been suspended');
+    }
+
+    const deviceInfo = getDeviceInfo(req);
+
+    // Legacy token issued before rotation - upgrade it to a token family
+    if (!decoded.sid) {
+      const legacy = user.refreshTokens.find(t => t.token && t.token === token);
+      if (!legacy) {
+        return ApiResponse.unauthorized(res, 'Refresh token not found');
+      }
+      user.refreshTokens.pull(legacy._id);
+      const sessionId = crypto.randomUUID();
+      const tokens = await generateTokens(user._id, sessionId);
+      const { isNew, device, secureToken } = user.recordDevice(deviceInfo);
+      user.addSession(sessionId, tokens.refreshToken, { ...deviceInfo, deviceId: device.deviceId });
+      await user.save({ validateBeforeSave: false });
+      if (isNew) {
+        await sendNewDeviceAlert(user, device, secureToken);
+      }
+      return ApiResponse.success(res, { tokens }, 'Token refreshed');
+    }
+
+    const session = user.findSession(decoded.sid);
+    if (!session) {
+      return ApiResponse.unauthorized(res, 'Session expired or revoked. Please login again');
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user._id);
+    // A valid token from this family that is not the latest one means it was reused
+    if (session.tokenHash !== User.hashToken(token)) {
+      user.revokeSession(decoded.sid);
+      await user.save({ validateBeforeSave: false });
+      logger.warn(`Refresh token reuse detected for user ${user._id}, session ${decoded.sid} revoked`);
+      return ApiResponse.unauthorized(res, 'Session revoked for security reasons. Please login again');
+    }
 
-    // Replace old refresh token with new one
-    user.refreshTokens = user.refreshTokens.filter(t => t.token !== token);
-    user.refreshTokens.push({
-      token: tokens.refreshToken,
-      deviceId: req.headers['x-device-id'] || 'unknown'
+    // Rotate: issue new pair within the same family
+    const tokens = await generateTokens(user._id, decoded.sid);
+    session.tokenHash = User.hashToken(tokens.refreshToken);
+    session.lastUsedAt = new Date();
+    session.ipAddress = deviceInfo.ipAddress;
+    if (deviceInfo.appVersion) session.appVersion = deviceInfo.appVersion;
+    // Without X-Device-Id the session keeps the device it signed in from (its IP may change)
+    const { isNew, device, secureToken } = user.recordDevice({
+      ...deviceInfo,
+      deviceId: deviceInfo.deviceId || session.deviceId
     });
     await user.save({ validateBeforeSave: false });
 
+    if (isNew) {
+      await sendNewDeviceAlert(user, device, secureToken);
+    }
+
     return ApiResponse.success(res, { tokens }, 'Token refreshed');
 
   } catch (error) {
@@ -473,9 +1271,13 @@ const logout = async (req, res) => {
     const { refreshToken: token } = req.body;
     const user = req.user;
 
-    // Remove refresh token
+    // Remove the session for the given refresh token, or the current session
     if (token) {
-      user.refreshTokens = user.refreshTokens.filter(t => t.token !== token);
+      const tokenHash = User.hashToken(token);
+      user.refreshTokens = user.refreshTokens.filter(t => t.tokenHash !== tokenHash && t.token !== token);
+      await user.save({ validateBeforeSave: false });
+    } else if (req.sessionId) {
+      user.revokeSession(req.sessionId);
       await user.save({ validateBeforeSave: false });
     }
 
@@ -508,6 +1310,63 @@ const logoutAll = async (req, res) => {
   }
 };
 
+/**
+ * @desc    List active sessions (devices)
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = req.user.refreshTokens
+      .map(session => ({
+        id: session._id,
+        deviceId: session.deviceId,
+        platform: session.platform || 'unknown',
+        ipAddress: session.ipAddress,
+        appVersion: session.appVersion,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt || session.createdAt,
+        isCurrent: !!req.sessionId && session.familyId === req.sessionId
+      }))
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+
+    return ApiResponse.success(res, { sessions });
+
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    return ApiResponse.error(res, 'Error fetching sessions');
+  }
+};
+
+/**
+ * @desc    Revoke a single session
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    const session = user.refreshTokens.id(id);
+    if (!session) {
+      return ApiResponse.notFound(res, 'Session not found');
+    }
+
+    user.refreshTokens.pull(session._id);
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Session ${id} revoked for user ${user._id}`);
+
+    return ApiResponse.success(res, null, 'Session revoked');
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    return ApiResponse.error(res, 'Error revoking session');
+  }
+};
+
 /**
  * @desc    Get current user
  * @route   GET /api/v1/auth/me
@@ -582,11 +1441,24 @@ module.exports = {
   login,
   verifyGoogleToken,
   googleAuth,
+  verifyTwoFactorLogin,
+  requestMagicLink,
+  verifyMagicLink,
+  requestPhoneOtp,
+  verifyPhoneOtp,
   forgotPassword,
   resetPassword,
+  confirmEmailChange,
+  revertEmailChange,
+  secureAccount,
+  unlockAccount,
+  verifyEmail,
+  resendVerificationEmail,
   refreshToken,
   logout,
   logoutAll,
+  getSessions,
+  revokeSession,
   getMe,
   updateDeviceToken
 };
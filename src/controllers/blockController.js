@@ -7,6 +7,7 @@ const Block = require('../models/Block');
 const Conversation = require('../models/Conversation');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
+const DiscoveryCandidate = require('../models/DiscoveryCandidate');
 const ApiResponse = require('../utils/apiResponse');
 const { getSocketIO } = require('../socket');
 const logger = require('../utils/logger');
@@ -50,6 +51,9 @@ const blockUser = async (req, res) => {
       source
     });
 
+    // Neither should be suggested to the other anymore
+    await DiscoveryCandidate.removeBetween(req.userId, userId);
+
     // Update any existing conversations
     const conversation = await Conversation.findOne({
       'participants.user': { $all: [req.userId, userId] },
@@ -207,6 +211,7 @@ const panicBlock = async (req, res) => {
         additionalNotes: 'Panic block',
         source: 'chat'
       });
+      await DiscoveryCandidate.removeBetween(req.userId, userId);
     }
 
     // Find and delete conversation
@@ -8,20 +8,52 @@ const User = require('../models/User');
 const AppConfig = require('../models/AppConfig');
 const Block = require('../models/Block');
 const Skip = require('../models/Skip');
-const MessageRequest = require('../models/MessageRequest');
 const ProfileView = require('../models/ProfileView');
+const Organization = require('../models/Organization');
+const FeedSession = require('../models/FeedSession');
+const DiscoveryCandidate = require('../models/DiscoveryCandidate');
 const ApiResponse = require('../utils/apiResponse');
-const { getBlurredImageUrl } = require('../config/cloudinary');
+const { getBlurredImageUrl } = require('../config/storage');
+const { getProfileDistanceKm } = require('../utils/ranking');
+const {
+  CARD_FIELDS,
+  CARD_USER_FIELDS,
+  getOrigin,
+  createViewerRanker,
+  getAffiliationSort,
+  getExcludedIds,
+  buildBaseQuery,
+  filterByPreferredDistance,
+  gatherSmartCandidates,
+  loadPrecomputedCandidates
+} = require('../utils/discoveryCandidates');
+const {
+  roundDistanceKm,
+  toPublicLocation,
+  escapeRegex,
+  getVisiblePhotos
+} = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 /**
  * Helper function to format profile with photos
+ * rank: { score, connectionType, breakdown } from the ranker (breakdown only in debug mode)
+ * origin: viewer's [longitude, latitude], used for "x km away"
  */
-const formatProfile = (profile, score = 0, connectionType = null) => {
-  const profileObj = profile.toObject ? profile.toObject() : profile;
+const formatProfile = (profile, { score = 0, connectionType = null, breakdown } = {}, origin = null) => {
+  const profileObj = profile.toObject ? profile.toObject() : { ...profile };
+  const distanceKm = getProfileDistanceKm(profileObj, origin);
+  delete profileObj.distance;
+
+  // Loaded for ranking only
+  delete profileObj.preferences;
+  if (profileObj.user?.lastActiveAt) {
+    profileObj.user = { ...profileObj.user };
+    delete profileObj.user.lastActiveAt;
+  }
 
-  // Ensure photos are plain objects and add blurredUrl
-  const photos = (profileObj.photos || []).map(photo => {
+  // Only approved photos; ensure photos are plain objects and add blurredUrl
+  const photos = getVisiblePhotos(profileObj.photos).map(photo => {
     const photoObj = photo.toObject ? photo.toObject() : photo;
     return {
       _id: photoObj._id || photoObj.id,
@@ -36,76 +68,97 @@ const formatProfile = (profile, score = 0, connectionType = null) => {
 
   return {
     ...profileObj,
+    location: toPublicLocation(profileObj.location),
     photos,
+    distanceKm: distanceKm === null ? null : roundDistanceKm(distanceKm, profileObj.locationPrecision),
+    verifiedAffiliations: {
+      college: Profile.isAffiliationVerified(profileObj.college),
+      workplace: Profile.isAffiliationVerified(profileObj.workplace)
+    },
     matchScore: Math.min(Math.round(score), 100),
-    connectionType // 'workplace', 'college', 'location', or null
+    connectionType, // 'workplace', 'college', 'location', or null
+    ...(breakdown && { scoreBreakdown: breakdown })
   };
 };
 
 /**
- * Helper function to get excluded user IDs
+ * Helper function to create the viewer's ranker from the ranking config
+ * Breakdowns are kept in debug mode (enabled in config, or by an admin with ?debug=true)
  */
-const getExcludedIds = async (userId) => {
-  const [blockedIds, skippedUserIds, requestedUserIds] = await Promise.all([
-    Block.getAllBlockRelatedUserIds(userId),
-    Skip.getSkippedUserIds(userId),
-    MessageRequest.find({
-      $or: [
-        { sender: userId },
-        { recipient: userId }
-      ],
-      status: { $in: ['pending', 'accepted'] }
-    }).distinct('sender').then(senders => 
-      MessageRequest.find({
-        $or: [
-          { sender: userId },
-          { recipient: userId }
-        ],
-        status: { $in: ['pending', 'accepted'] }
-      }).distinct('recipient').then(recipients => 
-        [...new Set([...senders.map(s => s.toString()), ...recipients.map(r => r.toString())])]
-      )
-    )
-  ]);
-
-  return [
-    ...blockedIds,
-    ...skippedUserIds.map(id => id.toString()),
-    ...requestedUserIds,
-    userId.toString()
-  ];
+const createFeedRanker = (req, myProfile, origin, appConfig) => {
+  const rank = createViewerRanker(myProfile, origin, appConfig);
+  const debug = appConfig.ranking.debug || (req.query.debug === 'true' && req.user?.role === 'admin');
+
+  return (profile) => {
+    const result = rank(profile);
+    if (!debug) delete result.breakdown;
+    return result;
+  };
 };
 
 /**
- * Helper function to build base query with gender filter
+ * Helper function to get a page of a feed session
+ * Without a cursor, build() ranks a fresh candidate list that is snapshotted as a new session
+ * (the request's filters apply to the whole session); with one, the page is read from the snapshot
+ * Returns { page: [{ profile, score, connectionType, breakdown }], cursor } or null if the cursor expired
  */
-const buildBaseQuery = (excludedIds, myProfile, genderFilter) => {
-  const query = {
-    user: { $nin: excludedIds },
-    visibility: 'discoverable',
-    showInFeed: true,
-    isComplete: true,
-    isBanned: false
-  };
+const getFeedPage = async (req, feed, limit, build) => {
+  const loaded = new Map();
+  let session;
+  let offset = 0;
+
+  if (req.query.cursor) {
+    const resumed = await FeedSession.findByCursor(req.query.cursor, req.userId, feed);
+    if (!resumed) return null;
+    ({ session, offset } = resumed);
+  } else {
+    const ranked = await build();
+    ranked.forEach(({ profile }) => loaded.set(profile._id.toString(), profile));
+    session = await FeedSession.start(req.userId, feed, ranked);
+  }
 
-  // Apply gender filter
-  if (genderFilter && genderFilter !== 'everyone') {
-    query.gender = genderFilter;
-  } else if (!genderFilter && myProfile.interestedIn && !myProfile.interestedIn.includes('everyone') && myProfile.interestedIn.length > 0) {
-    query.gender = { $in: myProfile.interestedIn };
+  const { entries, nextOffset } = session.getPage(offset, limit);
+
+  // Later pages reload their profiles, dropping any that left discovery or were blocked since
+  const idsToLoad = entries.map(e => e.profile).filter(id => !loaded.has(id.toString()));
+  if (idsToLoad.length) {
+    const blockedIds = await Block.getAllBlockRelatedUserIds(req.userId);
+    const profiles = await Profile.find({
+      _id: { $in: idsToLoad },
+      user: { $nin: blockedIds },
+      visibility: 'discoverable',
+      showInFeed: true,
+      isBanned: false
+    })
+    .populate({ path: 'user', select: CARD_USER_FIELDS })
+    .select(CARD_FIELDS);
+    profiles.forEach(profile => loaded.set(profile._id.toString(), profile));
   }
 
-  return query;
+  const page = entries
+    .map(({ profile, score, connectionType, breakdown }) => ({
+      profile: loaded.get(profile.toString()),
+      score,
+      connectionType,
+      breakdown
+    }))
+    .filter(({ profile }) => profile?.user?.accountStatus === 'active');
+
+  return {
+    page,
+    cursor: nextOffset === null ? null : FeedSession.encodeCursor(session._id, nextOffset)
+  };
 };
 
 /**
  * @desc    Get smart discovery feed with prioritized sections
+ *          (pass the returned cursor to get the next page of the same session)
  * @route   GET /api/v1/discover/smart-feed
  * @access  Private
  */
 const getSmartFeed = async (req, res) => {
   try {
-    const { limit = 20, ageMin, ageMax, gender } = req.query;
+    const { limit = 20, ageMin, ageMax, gender, verifiedOnly } = req.query;
 
     // Get user's profile for matching
     const myProfile = await Profile.findOne({ user: req.userId });
@@ -113,127 +166,61 @@ const getSmartFeed = async (req, res) => {
       return ApiResponse.badRequest(res, 'Please complete your profile first');
     }
 
-    const excludedIds = await getExcludedIds(req.userId);
-    const baseQuery = buildBaseQuery(excludedIds, myProfile, gender);
-
-    // Apply age filter
-    if (ageMin || ageMax) {
-      baseQuery.age = {};
-      if (ageMin) baseQuery.age.$gte = parseInt(ageMin);
-      if (ageMax) baseQuery.age.$lte = parseInt(ageMax);
-    }
+    const origin = getOrigin(myProfile);
 
-    // Track all fetched profile IDs to avoid duplicates
-    const fetchedProfileIds = new Set();
-    const smartFeed = [];
+    const buildSmartFeed = async () => {
+      const appConfig = await AppConfig.getConfig();
+      const rankProfile = createFeedRanker(req, myProfile, origin, appConfig);
 
-    // PRIORITY 1: Same Workplace
-    if (myProfile.workplace?.company) {
-      const workplaceProfiles = await Profile.find({
-        ...baseQuery,
-        'workplace.company': { $regex: new RegExp(myProfile.workplace.company, 'i') }
-      })
-      .populate({ path: 'user', select: 'username accountStatus' })
-      .select('name alias photos bio interests age gender location college workplace promptAnswers whyOnApp lookingFor')
-      .limit(10);
-
-      for (const profile of workplaceProfiles) {
-        if (profile.user?.accountStatus === 'active' && !fetchedProfileIds.has(profile._id.toString())) {
-          fetchedProfileIds.add(profile._id.toString());
-          // Score: workplace match (50) + shared interests
-          let score = 50;
-          if (myProfile.interests && profile.interests) {
-            const sharedInterests = profile.interests.filter(i => myProfile.interests.includes(i));
-            score += sharedInterests.length * 5;
-          }
-          smartFeed.push({ profile, score, connectionType: 'workplace' });
-        }
+      // Unfiltered feeds come from the precomputed candidates when they are fresh
+      const hasFilters = !!(ageMin || ageMax || gender || verifiedOnly === 'true');
+      if (!hasFilters) {
+        const precomputed = await loadPrecomputedCandidates(myProfile, { origin, rankProfile });
+        if (precomputed) return precomputed;
       }
-    }
 
-    // PRIORITY 2: Same College
-    if (myProfile.college?.name) {
-      const collegeProfiles = await Profile.find({
-        ...baseQuery,
-        'college.name': { $regex: new RegExp(myProfile.college.name, 'i') }
-      })
-      .populate({ path: 'user', select: 'username accountStatus' })
-      .select('name alias photos bio interests age gender location college workplace promptAnswers whyOnApp lookingFor')
-      .limit(10);
-
-      for (const profile of collegeProfiles) {
-        if (profile.user?.accountStatus === 'active' && !fetchedProfileIds.has(profile._id.toString())) {
-          fetchedProfileIds.add(profile._id.toString());
-          // Score: college match (40) + shared interests
-          let score = 40;
-          if (myProfile.interests && profile.interests) {
-            const sharedInterests = profile.interests.filter(i => myProfile.interests.includes(i));
-            score += sharedInterests.length * 5;
-          }
-          smartFeed.push({ profile, score, connectionType: 'college' });
-        }
-      }
-    }
+      const startedAt = new Date();
+      const excludedIds = await getExcludedIds(req.userId);
+      const baseQuery = buildBaseQuery(excludedIds, myProfile, { gender, ageMin, ageMax });
 
-    // PRIORITY 3: Same Location (City)
-    if (myProfile.location?.city) {
-      const locationProfiles = await Profile.find({
-        ...baseQuery,
-        'location.city': { $regex: new RegExp(myProfile.location.city, 'i') }
-      })
-      .populate({ path: 'user', select: 'username accountStatus' })
-      .select('name alias photos bio interests age gender location college workplace promptAnswers whyOnApp lookingFor')
-      .limit(15);
-
-      for (const profile of locationProfiles) {
-        if (profile.user?.accountStatus === 'active' && !fetchedProfileIds.has(profile._id.toString())) {
-          fetchedProfileIds.add(profile._id.toString());
-          // Score: location match (30) + shared interests
-          let score = 30;
-          if (myProfile.interests && profile.interests) {
-            const sharedInterests = profile.interests.filter(i => myProfile.interests.includes(i));
-            score += sharedInterests.length * 5;
-          }
-          smartFeed.push({ profile, score, connectionType: 'location' });
-        }
+      // Apply age filter
+      if (ageMin || ageMax) {
+        baseQuery.age = {};
+        if (ageMin) baseQuery.age.$gte = parseInt(ageMin);
+        if (ageMax) baseQuery.age.$lte = parseInt(ageMax);
       }
-    }
 
-    // PRIORITY 4: Random/Other Profiles
-    const remainingLimit = Math.max(parseInt(limit) - smartFeed.length, 5);
-    const randomProfiles = await Profile.aggregate([
-      { $match: { 
-        ...baseQuery,
-        _id: { $nin: [...fetchedProfileIds].map(id => require('mongoose').Types.ObjectId.createFromHexString(id)) }
-      }},
-      { $sample: { size: remainingLimit } }
-    ]);
+      // Only photo-verified profiles
+      if (verifiedOnly === 'true') {
+        baseQuery.isVerified = true;
+      }
 
-    // Populate user for random profiles
-    const populatedRandomProfiles = await Profile.populate(randomProfiles, {
-      path: 'user',
-      select: 'username accountStatus'
-    });
+      const ranked = await gatherSmartCandidates(myProfile, {
+        baseQuery,
+        origin,
+        appConfig,
+        rankProfile,
+        size: FeedSession.MAX_CANDIDATES
+      });
 
-    for (const profile of populatedRandomProfiles) {
-      if (profile.user?.accountStatus === 'active') {
-        // Score: based on shared interests only
-        let score = 10;
-        if (myProfile.interests && profile.interests) {
-          const sharedInterests = profile.interests.filter(i => myProfile.interests.includes(i));
-          score += sharedInterests.length * 5;
-        }
-        smartFeed.push({ profile, score, connectionType: null });
+      // Live results stand in for the precomputed list until the next job run
+      if (!hasFilters) {
+        await DiscoveryCandidate.store(req.userId, ranked, startedAt);
       }
-    }
 
-    // Sort by score (workplace > college > location > random) and limit
-    smartFeed.sort((a, b) => b.score - a.score);
-    const finalFeed = smartFeed.slice(0, parseInt(limit));
+      return ranked;
+    };
+
+    // First page snapshots the ranked feed, later pages follow the cursor
+    const feedPage = await getFeedPage(req, 'smart', parseInt(limit), buildSmartFeed);
+    if (!feedPage) {
+      return ApiResponse.error(res, 'Feed session expired. Please refresh the feed.', 410);
+    }
+    const { page: finalFeed, cursor } = feedPage;
 
     // Format profiles
-    const formattedProfiles = finalFeed.map(({ profile, score, connectionType }) => 
-      formatProfile(profile, score, connectionType)
+    const formattedProfiles = finalFeed.map(({ profile, ...rank }) => 
+      formatProfile(profile, rank, origin)
     );
 
     // Log views
@@ -249,6 +236,8 @@ const getSmartFeed = async (req, res) => {
 
     return ApiResponse.success(res, {
       profiles: formattedProfiles,
+      cursor,
+      hasMore: cursor !== null,
       meta: {
         workplaceCount: finalFeed.filter(f => f.connectionType === 'workplace').length,
         collegeCount: finalFeed.filter(f => f.connectionType === 'college').length,
@@ -278,27 +267,37 @@ const getFeedSections = async (req, res) => {
     }
 
     const excludedIds = await getExcludedIds(req.userId);
-    const baseQuery = buildBaseQuery(excludedIds, myProfile, null);
+    const baseQuery = buildBaseQuery(excludedIds, myProfile);
+    const origin = getOrigin(myProfile);
+    const appConfig = await AppConfig.getConfig();
+    const { rankVerifiedFirst } = appConfig.affiliationVerification;
+    const rankProfile = createFeedRanker(req, myProfile, origin, appConfig);
 
     const sections = [];
     const fetchedProfileIds = new Set();
 
+    // Rank a section's active profiles (the section decides the connection type)
+    const rankSection = (profiles, connectionType) => filterByPreferredDistance(profiles, origin, myProfile.preferences?.maxDistanceKm)
+      .filter(p => p.user?.accountStatus === 'active')
+      .map(p => {
+        fetchedProfileIds.add(p._id.toString());
+        return { profile: p, ...rankProfile(p), connectionType };
+      })
+      .sort((a, b) => b.score - a.score);
+
     // Section 1: From Your Workplace
-    if (myProfile.workplace?.company) {
+    if (myProfile.workplace?.organization) {
       const workplaceProfiles = await Profile.find({
         ...baseQuery,
-        'workplace.company': { $regex: new RegExp(myProfile.workplace.company, 'i') }
+        'workplace.organization': myProfile.workplace.organization
       })
-      .populate({ path: 'user', select: 'username accountStatus' })
-      .select('name alias photos bio interests age gender workplace')
+      .populate({ path: 'user', select: CARD_USER_FIELDS })
+      .select(CARD_FIELDS)
+      .sort(getAffiliationSort('workplace', rankVerifiedFirst))
       .limit(parseInt(limit));
 
-      const validWorkplaceProfiles = workplaceProfiles
-        .filter(p => p.user?.accountStatus === 'active')
-        .map(p => {
-          fetchedProfileIds.add(p._id.toString());
-          return formatProfile(p, 50, 'workplace');
-        });
+      const validWorkplaceProfiles = rankSection(workplaceProfiles, 'workplace')
+        .map(({ profile, ...rank }) => formatProfile(profile, rank, origin));
 
       if (validWorkplaceProfiles.length > 0) {
         sections.push({
@@ -313,22 +312,19 @@ const getFeedSections = async (req, res) => {
     }
 
     // Section 2: From Your College
-    if (myProfile.college?.name) {
+    if (myProfile.college?.organization) {
       const collegeProfiles = await Profile.find({
         ...baseQuery,
-        'college.name': { $regex: new RegExp(myProfile.college.name, 'i') },
+        'college.organization': myProfile.college.organization,
         _id: { $nin: [...fetchedProfileIds] }
       })
-      .populate({ path: 'user', select: 'username accountStatus' })
-      .select('name alias photos bio interests age gender college')
+      .populate({ path: 'user', select: CARD_USER_FIELDS })
+      .select(CARD_FIELDS)
+      .sort(getAffiliationSort('college', rankVerifiedFirst))
       .limit(parseInt(limit));
 
-      const validCollegeProfiles = collegeProfiles
-        .filter(p => p.user?.accountStatus === 'active')
-        .map(p => {
-          fetchedProfileIds.add(p._id.toString());
-          return formatProfile(p, 40, 'college');
-        });
+      const validCollegeProfiles = rankSection(collegeProfiles, 'college')
+        .map(({ profile, ...rank }) => formatProfile(profile, rank, origin));
 
       if (validCollegeProfiles.length > 0) {
         sections.push({
@@ -346,19 +342,15 @@ const getFeedSections = async (req, res) => {
     if (myProfile.location?.city) {
       const locationProfiles = await Profile.find({
         ...baseQuery,
-        'location.city': { $regex: new RegExp(myProfile.location.city, 'i') },
+        'location.city': { $regex: new RegExp(escapeRegex(myProfile.location.city), 'i') },
         _id: { $nin: [...fetchedProfileIds] }
       })
-      .populate({ path: 'user', select: 'username accountStatus' })
-      .select('name alias photos bio interests age gender location')
+      .populate({ path: 'user', select: CARD_USER_FIELDS })
+      .select(CARD_FIELDS)
       .limit(parseInt(limit));
 
-      const validLocationProfiles = locationProfiles
-        .filter(p => p.user?.accountStatus === 'active')
-        .map(p => {
-          fetchedProfileIds.add(p._id.toString());
-          return formatProfile(p, 30, 'location');
-        });
+      const validLocationProfiles = rankSection(locationProfiles, 'location')
+        .map(({ profile, ...rank }) => formatProfile(profile, rank, origin));
 
       if (validLocationProfiles.length > 0) {
         sections.push({
@@ -379,20 +371,15 @@ const getFeedSections = async (req, res) => {
         interests: { $in: myProfile.interests },
         _id: { $nin: [...fetchedProfileIds] }
       })
-      .populate({ path: 'user', select: 'username accountStatus' })
-      .select('name alias photos bio interests age gender')
+      .populate({ path: 'user', select: CARD_USER_FIELDS })
+      .select(CARD_FIELDS)
       .limit(parseInt(limit));
 
-      const validInterestProfiles = interestProfiles
-        .filter(p => p.user?.accountStatus === 'active')
-        .map(p => {
-          const sharedInterests = p.interests.filter(i => myProfile.interests.includes(i));
-          fetchedProfileIds.add(p._id.toString());
-          return {
-            ...formatProfile(p, 20 + sharedInterests.length * 5, 'interests'),
-            sharedInterests
-          };
-        });
+      const validInterestProfiles = rankSection(interestProfiles, 'interests')
+        .map(({ profile, ...rank }) => ({
+          ...formatProfile(profile, rank, origin),
+          sharedInterests: profile.interests.filter(i => myProfile.interests.includes(i))
+        }));
 
       if (validInterestProfiles.length > 0) {
         sections.push({
@@ -417,12 +404,12 @@ const getFeedSections = async (req, res) => {
 
     const populatedDiscoverProfiles = await Profile.populate(discoverProfiles, {
       path: 'user',
-      select: 'username accountStatus'
+      select: CARD_USER_FIELDS
     });
 
-    const validDiscoverProfiles = populatedDiscoverProfiles
+    const validDiscoverProfiles = filterByPreferredDistance(populatedDiscoverProfiles, origin, myProfile.preferences?.maxDistanceKm)
       .filter(p => p.user?.accountStatus === 'active')
-      .map(p => formatProfile(p, 10, null));
+      .map(p => formatProfile(p, rankProfile(p), origin));
 
     if (validDiscoverProfiles.length > 0) {
       sections.push({
@@ -448,13 +435,13 @@ const getFeedSections = async (req, res) => {
 
 /**
  * @desc    Get discovery feed
+ *          (pass the returned cursor to get the next page of the same session)
  * @route   GET /api/v1/discover
  * @access  Private
  */
 const getDiscoveryFeed = async (req, res) => {
   try {
     const {
-      page = 1,
       limit = 10,
       ageMin,
       ageMax,
@@ -462,7 +449,9 @@ const getDiscoveryFeed = async (req, res) => {
       city,
       college,
       workplace,
-      interests
+      interests,
+      maxDistanceKm,
+      verifiedOnly
     } = req.query;
     
     logger.info(`Discovery request params: gender=${gender}, ageMin=${ageMin}, ageMax=${ageMax}`);
@@ -493,102 +482,104 @@ const getDiscoveryFeed = async (req, res) => {
       return ApiResponse.tooManyRequests(res, 'Daily discovery limit reached.');
     }
 
-    const excludedIds = await getExcludedIds(req.userId);
-    const query = buildBaseQuery(excludedIds, myProfile, gender);
+    // Distance filter needs the viewer's coordinates
+    const origin = getOrigin(myProfile);
+    if (maxDistanceKm && !origin) {
+      return ApiResponse.badRequest(res, 'Share your location to filter by distance');
+    }
+    // Default to the viewer's preferred distance
+    const distanceKm = maxDistanceKm ? parseFloat(maxDistanceKm) : origin && myProfile.preferences?.maxDistanceKm;
+    const maxDistance = distanceKm ? Math.min(distanceKm, appConfig.limits.maxDistanceKm) : null;
+
+    const buildDiscoveryFeed = async () => {
+      const rankProfile = createFeedRanker(req, myProfile, origin, appConfig);
+
+      // Unfiltered feeds come from the precomputed candidates when they are fresh
+      const hasFilters = !!(ageMin || ageMax || gender || city || college || workplace || interests || maxDistanceKm || verifiedOnly === 'true');
+      if (!hasFilters) {
+        const precomputed = await loadPrecomputedCandidates(myProfile, { origin, rankProfile });
+        if (precomputed) return precomputed;
+      }
+
+      const excludedIds = await getExcludedIds(req.userId);
+      const query = buildBaseQuery(excludedIds, myProfile, { gender, ageMin, ageMax });
     
-    logger.info(`Discovery query for user ${req.userId}:`, JSON.stringify(query));
+      logger.info(`Discovery query for user ${req.userId}:`, JSON.stringify(query));
 
-    // Apply filters
-    if (ageMin || ageMax) {
-      query.age = {};
-      if (ageMin) query.age.$gte = parseInt(ageMin);
-      if (ageMax) query.age.$lte = parseInt(ageMax);
-    }
+      // Apply filters
+      if (ageMin || ageMax) {
+        query.age = {};
+        if (ageMin) query.age.$gte = parseInt(ageMin);
+        if (ageMax) query.age.$lte = parseInt(ageMax);
+      }
 
-    // Location matching (only filter if explicitly requested)
-    if (city) {
-      query['location.city'] = new RegExp(city, 'i');
-    }
+      // Location matching (only filter if explicitly requested)
+      if (city) {
+        query['location.city'] = new RegExp(escapeRegex(city), 'i');
+      }
 
-    // College matching (only filter if explicitly requested)
-    if (college) {
-      query['college.name'] = new RegExp(college, 'i');
-    }
+      // College matching by organization id or name (only filter if explicitly requested)
+      if (college) {
+        query['college.organization'] = await Organization.buildProfileFilter(college, 'college');
+      }
 
-    // Workplace matching (only filter if explicitly requested)
-    if (workplace) {
-      query['workplace.company'] = new RegExp(workplace, 'i');
-    }
+      // Workplace matching by organization id or name (only filter if explicitly requested)
+      if (workplace) {
+        query['workplace.organization'] = await Organization.buildProfileFilter(workplace, 'company');
+      }
 
-    // Interest matching (only filter if explicitly requested)
-    if (interests) {
-      const interestArray = interests.split(',').map(i => i.trim().toLowerCase());
-      query.interests = { $in: interestArray };
-    }
+      // Interest matching (only filter if explicitly requested)
+      if (interests) {
+        const interestArray = interests.split(',').map(i => i.trim().toLowerCase());
+        query.interests = { $in: interestArray };
+      }
 
-    // Get profiles with smart scoring
-    let profiles = await Profile.find(query)
-      .populate({
-        path: 'user',
-        select: 'username accountStatus'
-      })
-      .select('name alias photos bio interests age gender location college workplace promptAnswers whyOnApp lookingFor visibility showInFeed isComplete isBanned')
-      .limit(parseInt(limit) * 3);
+      // Only photo-verified profiles
+      if (verifiedOnly === 'true') {
+        query.isVerified = true;
+      }
+
+      // Get profiles with smart scoring (nearest first when filtering by distance)
+      const fields = `${CARD_FIELDS} visibility showInFeed isComplete isBanned`;
+      let profiles;
+      if (maxDistance) {
+        const nearbyProfiles = await Profile.findNearby(origin, maxDistance, query, {
+          limit: FeedSession.MAX_CANDIDATES,
+          select: fields
+        });
+        profiles = await Profile.populate(nearbyProfiles, { path: 'user', select: CARD_USER_FIELDS });
+      } else {
+        profiles = await Profile.find(query)
+          .populate({
+            path: 'user',
+            select: CARD_USER_FIELDS
+          })
+          .select(fields)
+          .limit(FeedSession.MAX_CANDIDATES);
+      }
     
-    // Filter out profiles where user is null or accountStatus is not active
-    profiles = profiles.filter(p => p.user?.accountStatus === 'active');
+      // Filter out profiles where user is null or accountStatus is not active
+      profiles = filterByPreferredDistance(profiles, origin)
+        .filter(p => p.user?.accountStatus === 'active');
     
-    logger.info(`Found ${profiles.length} valid profiles`);
+      logger.info(`Found ${profiles.length} valid profiles`);
     
-    // Score profiles with priority: workplace > college > location > interests
-    profiles = profiles.map(profile => {
-        let score = 0;
-        let connectionType = null;
-
-        // Score based on same workplace (highest priority)
-        if (myProfile.workplace?.company && profile.workplace?.company) {
-          if (profile.workplace.company.toLowerCase() === myProfile.workplace.company.toLowerCase()) {
-            score += 50;
-            connectionType = 'workplace';
-          }
-        }
-
-        // Score based on same college
-        if (myProfile.college?.name && profile.college?.name) {
-          if (profile.college.name.toLowerCase() === myProfile.college.name.toLowerCase()) {
-            score += 40;
-            if (!connectionType) connectionType = 'college';
-          }
-        }
-
-        // Score based on same location
-        if (myProfile.location?.city && profile.location?.city) {
-          if (profile.location.city.toLowerCase() === myProfile.location.city.toLowerCase()) {
-            score += 30;
-            if (!connectionType) connectionType = 'location';
-          }
-        }
-        
-        // Score based on shared interests
-        if (myProfile.interests && profile.interests) {
-          const sharedInterests = profile.interests.filter(i => 
-            myProfile.interests.map(mi => mi.toLowerCase()).includes(i.toLowerCase())
-          );
-          score += sharedInterests.length * 5;
-        }
+      // Rank profiles by the configured signals
+      return profiles
+        .map(profile => ({ profile, ...rankProfile(profile) }))
+        .sort((a, b) => b.score - a.score);
+    };
 
-        return {
-          profile,
-          score,
-          connectionType
-        };
-      })
-      .sort((a, b) => b.score - a.score)
-      .slice(0, parseInt(limit));
+    // First page snapshots the ranked feed, later pages follow the cursor
+    const feedPage = await getFeedPage(req, 'discover', parseInt(limit), buildDiscoveryFeed);
+    if (!feedPage) {
+      return ApiResponse.error(res, 'Feed session expired. Please refresh the feed.', 410);
+    }
+    const { page: profiles, cursor } = feedPage;
 
     // Format response
-    const formattedProfiles = profiles.map(({ profile, score, connectionType }) => 
-      formatProfile(profile, score, connectionType)
+    const formattedProfiles = profiles.map(({ profile, ...rank }) => 
+      formatProfile(profile, rank, origin)
     );
 
     // Log views
@@ -603,7 +594,9 @@ const getDiscoveryFeed = async (req, res) => {
     }
 
     return ApiResponse.success(res, {
-      profiles: formattedProfiles
+      profiles: formattedProfiles,
+      cursor,
+      hasMore: cursor !== null
     });
 
   } catch (error) {
@@ -640,6 +633,12 @@ const skipProfile = async (req, res) => {
       });
     }
 
+    // Don't show it again in the current feed sessions or precomputed candidates
+    await Promise.all([
+      FeedSession.removeCandidate(req.userId, profile.user),
+      DiscoveryCandidate.removeCandidate(req.userId, profile.user)
+    ]);
+
     return ApiResponse.success(res, null, 'Profile skipped');
 
   } catch (error) {
@@ -665,16 +664,24 @@ const getFilterOptions = async (req, res) => {
     });
 
     // Get available colleges
-    const colleges = await Profile.distinct('college.name', {
-      'college.name': { $exists: true, $ne: '' },
+    const collegeIds = await Profile.distinct('college.organization', {
+      'college.organization': { $exists: true },
       visibility: 'discoverable'
     });
+    const colleges = await Organization.find({ _id: { $in: collegeIds }, status: { $ne: 'merged' } })
+      .select('name')
+      .sort({ name: 1 })
+      .limit(50);
 
     // Get available companies
-    const companies = await Profile.distinct('workplace.company', {
-      'workplace.company': { $exists: true, $ne: '' },
+    const companyIds = await Profile.distinct('workplace.organization', {
+      'workplace.organization': { $exists: true },
       visibility: 'discoverable'
     });
+    const companies = await Organization.find({ _id: { $in: companyIds }, status: { $ne: 'merged' } })
+      .select('name')
+      .sort({ name: 1 })
+      .limit(50);
 
     // Get popular interests
     const popularInterests = await Profile.aggregate([
@@ -687,8 +694,11 @@ const getFilterOptions = async (req, res) => {
 
     return ApiResponse.success(res, {
       cities: cities.filter(c => c).slice(0, 50),
-      colleges: colleges.filter(c => c).slice(0, 50),
-      companies: companies.filter(c => c).slice(0, 50),
+      colleges: colleges.map(c => c.name),
+      companies: companies.map(c => c.name),
+      // Same lists with ids, for filtering by organization
+      collegeOrganizations: colleges,
+      companyOrganizations: companies,
       interests: popularInterests.map(i => i._id),
       genders: ['male', 'female', 'non-binary', 'other'],
       ageRange: { min: 18, max: 60 },
@@ -696,7 +706,8 @@ const getFilterOptions = async (req, res) => {
         city: myProfile?.location?.city,
         college: myProfile?.college?.name,
         workplace: myProfile?.workplace?.company,
-        interestedIn: myProfile?.interestedIn || ['everyone']
+        interestedIn: myProfile?.preferences?.genders?.length ? myProfile.preferences.genders : ['everyone'],
+        preferences: myProfile?.preferences
       }
     });
 
@@ -717,25 +728,31 @@ const getCollegeProfiles = async (req, res) => {
 
     const myProfile = await Profile.findOne({ user: req.userId });
     
-    if (!myProfile?.college?.name) {
+    if (!myProfile?.college?.organization) {
       return ApiResponse.success(res, { profiles: [], total: 0 });
     }
 
     const blockedIds = await Block.getAllBlockRelatedUserIds(req.userId);
+    const { affiliationVerification } = await AppConfig.getConfig();
 
-    const profiles = await Profile.find({
+    // Same college, matched on both sides' preferences
+    const query = {
       user: { $ne: req.userId, $nin: blockedIds },
-      'college.name': myProfile.college.name,
+      'college.organization': myProfile.college.organization,
       visibility: 'discoverable',
       isComplete: true,
-      isBanned: false
-    })
+      isBanned: false,
+      ...Profile.buildMatchFilter(myProfile)
+    };
+
+    const profiles = await Profile.find(query)
     .populate({
       path: 'user',
       select: 'username',
       match: { accountStatus: 'active' }
     })
-    .select('name photos bio interests age gender college whyOnApp lookingFor')
+    .select('name photos bio interests age gender isVerified college whyOnApp lookingFor')
+    .sort(getAffiliationSort('college', affiliationVerification.rankVerifiedFirst))
     .skip((page - 1) * limit)
     .limit(parseInt(limit));
 
@@ -745,8 +762,8 @@ const getCollegeProfiles = async (req, res) => {
     const formattedProfiles = validProfiles.map(profile => {
       const profileObj = profile.toObject();
       
-      // Ensure photos are plain objects and add blurredUrl
-      const photos = (profileObj.photos || []).map(photo => {
+      // Only approved photos; ensure photos are plain objects and add blurredUrl
+      const photos = getVisiblePhotos(profileObj.photos).map(photo => {
         const photoObj = photo.toObject ? photo.toObject() : photo;
         return {
           _id: photoObj._id || photoObj.id,
@@ -765,13 +782,7 @@ const getCollegeProfiles = async (req, res) => {
       };
     });
 
-    const total = await Profile.countDocuments({
-      user: { $ne: req.userId, $nin: blockedIds },
-      'college.name': myProfile.college.name,
-      visibility: 'discoverable',
-      isComplete: true,
-      isBanned: false
-    });
+    const total = await Profile.countDocuments(query);
 
     return ApiResponse.paginated(res, formattedProfiles, {
       page: parseInt(page),
@@ -796,25 +807,31 @@ const getWorkplaceProfiles = async (req, res) => {
 
     const myProfile = await Profile.findOne({ user: req.userId });
     
-    if (!myProfile?.workplace?.company) {
+    if (!myProfile?.workplace?.organization) {
       return ApiResponse.success(res, { profiles: [], total: 0 });
     }
 
     const blockedIds = await Block.getAllBlockRelatedUserIds(req.userId);
+    const { affiliationVerification } = await AppConfig.getConfig();
 
-    const profiles = await Profile.find({
+    // Same workplace, matched on both sides' preferences
+    const query = {
       user: { $ne: req.userId, $nin: blockedIds },
-      'workplace.company': myProfile.workplace.company,
+      'workplace.organization': myProfile.workplace.organization,
       visibility: 'discoverable',
       isComplete: true,
-      isBanned: false
-    })
+      isBanned: false,
+      ...Profile.buildMatchFilter(myProfile)
+    };
+
+    const profiles = await Profile.find(query)
     .populate({
       path: 'user',
       select: 'username',
       match: { accountStatus: 'active' }
     })
-    .select('name photos bio interests age gender workplace whyOnApp lookingFor')
+    .select('name photos bio interests age gender isVerified workplace whyOnApp lookingFor')
+    .sort(getAffiliationSort('workplace', affiliationVerification.rankVerifiedFirst))
     .skip((page - 1) * limit)
     .limit(parseInt(limit));
 
@@ -824,8 +841,8 @@ const getWorkplaceProfiles = async (req, res) => {
     const formattedProfiles = validProfiles.map(profile => {
       const profileObj = profile.toObject();
       
-      // Ensure photos are plain objects and add blurredUrl
-      const photos = (profileObj.photos || []).map(photo => {
+      // Only approved photos; ensure photos are plain objects and add blurredUrl
+      const photos = getVisiblePhotos(profileObj.photos).map(photo => {
         const photoObj = photo.toObject ? photo.toObject() : photo;
         return {
           _id: photoObj._id || photoObj.id,
@@ -844,13 +861,7 @@ const getWorkplaceProfiles = async (req, res) => {
       };
     });
 
-    const total = await Profile.countDocuments({
-      user: { $ne: req.userId, $nin: blockedIds },
-      'workplace.company': myProfile.workplace.company,
-      visibility: 'discoverable',
-      isComplete: true,
-      isBanned: false
-    });
+    const total = await Profile.countDocuments(query);
 
     return ApiResponse.paginated(res, formattedProfiles, {
       page: parseInt(page),
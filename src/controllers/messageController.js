@@ -12,8 +12,8 @@ const Notification = require('../models/Notification');
 const AppConfig = require('../models/AppConfig');
 const ApiResponse = require('../utils/apiResponse');
 const { sendNewMessageNotification, sendRevealNotification } = require('../config/onesignal');
-const { formatMessagePreview } = require('../utils/helpers');
-const { getBlurredImageUrl } = require('../config/cloudinary');
+const { formatMessagePreview, getVisiblePhotos } = require('../utils/helpers');
+const { getBlurredImageUrl } = require('../config/storage');
 const { getSocketIO } = require('../socket');
 const logger = require('../utils/logger');
 
@@ -80,7 +80,7 @@ const getConversations = async (req, res) => {
         // Include profile data - blurred photos if not revealed
         if (otherUserData?.profile) {
           const profile = otherUserData.profile;
-          const photos = profile.photos || [];
+          const photos = getVisiblePhotos(profile.photos);
           
           // If not revealed, blur photos
           let processedPhotos = photos;
@@ -184,7 +184,7 @@ const getConversation = async (req, res) => {
     // Include profile data - blurred photos if not revealed
     if (otherUserObj.profile) {
       const profile = otherUserObj.profile;
-      const photos = profile.photos || [];
+      const photos = getVisiblePhotos(profile.photos);
       
       // If not revealed, blur photos
       let processedPhotos = photos;
@@ -282,12 +282,16 @@ const getMessages = async (req, res) => {
 /**
  * @desc    Send message
  * @route   POST /api/v1/messages/conversations/:conversationId/messages
+ * @route   POST /api/v1/messages/conversations/:conversationId/media (image, multipart)
  * @access  Private
  */
 const sendMessage = async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { content, type = 'text', replyTo } = req.body;
+    const { content, replyTo } = req.body;
+    // Image messages are uploaded as multipart (content is an optional caption)
+    const type = req.file ? 'image' : req.body.type || 'text';
+    const preview = content || (type === 'image' ? '📷 Photo' : '');
 
     // Verify user is participant
     const conversation = await Conversation.findOne({
@@ -367,6 +371,13 @@ const sendMessage = async (req, res) => {
       recipient: recipientId,
       content,
       type,
+      media: req.file ? {
+        url: req.file.path,
+        publicId: req.file.filename,
+        thumbnailUrl: req.file.thumbnailUrl,
+        width: req.file.width,
+        height: req.file.height
+      } : undefined,
       replyTo: replyTo || null
     });
 
@@ -377,7 +388,7 @@ const sendMessage = async (req, res) => {
     }
 
     // Update conversation
-    await conversation.updateLastMessage(content, req.userId, type);
+    await conversation.updateLastMessage(preview, req.userId, type);
 
     // Send push notification if not muted
     if (!otherParticipant.isMuted) {
@@ -406,7 +417,7 @@ const sendMessage = async (req, res) => {
         await sendNewMessageNotification(
           [recipient.oneSignalPlayerId],
           notificationTitle,
-          formatMessagePreview(content),
+          formatMessagePreview(preview),
           !senderIsRevealed,
           conversationId.toString()
         );
@@ -11,9 +11,12 @@ const Profile = require('../models/Profile');
 const Block = require('../models/Block');
 const Notification = require('../models/Notification');
 const AppConfig = require('../models/AppConfig');
+const FeedSession = require('../models/FeedSession');
+const DiscoveryCandidate = require('../models/DiscoveryCandidate');
 const ApiResponse = require('../utils/apiResponse');
 const { sendMessageRequestNotification, sendRequestAcceptedNotification } = require('../config/onesignal');
-const { getBlurredImageUrl } = require('../config/cloudinary');
+const { getBlurredImageUrl } = require('../config/storage');
+const { getVisiblePhotos } = require('../utils/helpers');
 const { getSocketIO } = require('../socket');
 const logger = require('../utils/logger');
 
@@ -89,16 +92,18 @@ const sendRequest = async (req, res) => {
         let canMessage = false;
         const reasons = [];
         
-        // Check same college
-        if (msgPrefs.sameCollege && senderProfile.college?.name && recipientProfile.college?.name) {
-          if (senderProfile.college.name.toLowerCase() === recipientProfile.college.name.toLowerCase()) {
+        // Check same college (optionally only a verified one)
+        if (msgPrefs.sameCollege && senderProfile.college?.organization && recipientProfile.college?.organization) {
+          if (senderProfile.college.organization.equals(recipientProfile.college.organization) &&
+            (!msgPrefs.requireVerified || senderProfile.hasVerifiedAffiliation('college'))) {
             canMessage = true;
           }
         }
         
-        // Check same workplace
-        if (msgPrefs.sameWorkplace && senderProfile.workplace?.company && recipientProfile.workplace?.company) {
-          if (senderProfile.workplace.company.toLowerCase() === recipientProfile.workplace.company.toLowerCase()) {
+        // Check same workplace (optionally only a verified one)
+        if (msgPrefs.sameWorkplace && senderProfile.workplace?.organization && recipientProfile.workplace?.organization) {
+          if (senderProfile.workplace.organization.equals(recipientProfile.workplace.organization) &&
+            (!msgPrefs.requireVerified || senderProfile.hasVerifiedAffiliation('workplace'))) {
             canMessage = true;
           }
         }
@@ -112,8 +117,9 @@ const sendRequest = async (req, res) => {
         
         // Build rejection message based on what's required
         if (!canMessage) {
-          if (msgPrefs.sameCollege) reasons.push('same college');
-          if (msgPrefs.sameWorkplace) reasons.push('same workplace');
+          const verified = msgPrefs.requireVerified ? ' (verified)' : '';
+          if (msgPrefs.sameCollege) reasons.push(`same college${verified}`);
+          if (msgPrefs.sameWorkplace) reasons.push(`same workplace${verified}`);
           if (msgPrefs.sameLocation) reasons.push('same location');
           
           const reasonText = reasons.length > 0 
@@ -140,6 +146,13 @@ const sendRequest = async (req, res) => {
       isPriority: false
     });
 
+    // Remove each from the other's current feed sessions and precomputed candidates
+    await Promise.all([
+      FeedSession.removeCandidate(senderId, recipientId),
+      FeedSession.removeCandidate(recipientId, senderId),
+      DiscoveryCandidate.removeBetween(senderId, recipientId)
+    ]);
+
     // Update sender's profile stats
     if (senderProfile) {
       senderProfile.requestsSent += 1;
@@ -192,7 +205,7 @@ const sendRequest = async (req, res) => {
       select: 'username',
       populate: {
         path: 'profile',
-        select: 'name photos bio interests'
+        select: 'name photos bio interests isVerified'
       }
     });
 
@@ -257,7 +270,7 @@ const getPendingRequests = async (req, res) => {
       select: 'username',
       populate: {
         path: 'profile',
-        select: 'name photos bio interests'
+        select: 'name photos bio interests isVerified'
       }
     })
     .sort({ isPriority: -1, createdAt: -1 })
@@ -290,6 +303,11 @@ const getPendingRequests = async (req, res) => {
         reqObj.expiresIn = diffHours > 0 ? diffHours : null;
       }
       
+      // Hide photos still awaiting moderation
+      if (reqObj.sender?.profile) {
+        reqObj.sender.profile.photos = getVisiblePhotos(reqObj.sender.profile.photos);
+      }
+
       // Always blur photos for anonymous requests (even if profile exists)
       if (req.isAnonymous && reqObj.sender?.profile?.photos && reqObj.sender.profile.photos.length > 0) {
         reqObj.sender.profile.photos = reqObj.sender.profile.photos.map(photo => {
@@ -347,7 +365,7 @@ const getSentRequests = async (req, res) => {
         select: 'username',
         populate: {
           path: 'profile',
-          select: 'name photos bio'
+          select: 'name photos bio isVerified'
         }
       })
       .populate({
@@ -355,7 +373,7 @@ const getSentRequests = async (req, res) => {
         select: 'username',
         populate: {
           path: 'profile',
-          select: 'name photos bio'
+          select: 'name photos bio isVerified'
         }
       })
       .sort({ createdAt: -1 })
@@ -370,6 +388,11 @@ const getSentRequests = async (req, res) => {
       // Ensure IDs are strings
       if (reqObj._id) reqObj._id = reqObj._id.toString();
       
+      // Hide the recipient's photos still awaiting moderation
+      if (reqObj.recipient?.profile) {
+        reqObj.recipient.profile.photos = getVisiblePhotos(reqObj.recipient.profile.photos);
+      }
+
       // Blur photos for anonymous sent requests (when viewing sent requests, blur if anonymous)
       if (reqObj.isAnonymous && reqObj.sender?.profile?.photos && reqObj.sender.profile.photos.length > 0) {
         reqObj.sender.profile.photos = reqObj.sender.profile.photos.map(photo => {
@@ -0,0 +1,77 @@
+/**
+ * Organization Controller
+ * Handles college/workplace lookup and autocomplete
+ */
+
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const ApiResponse = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Autocomplete colleges and companies
+ * @route   GET /api/v1/organizations?q=iit&type=college
+ * @access  Private
+ */
+const searchOrganizations = async (req, res) => {
+  try {
+    const { q, type, limit = 10 } = req.query;
+
+    if (!q || q.trim().length < 2) {
+      return ApiResponse.success(res, { organizations: [] });
+    }
+    if (type && !['college', 'company'].includes(type)) {
+      return ApiResponse.badRequest(res, 'Type must be college or company');
+    }
+
+    const organizations = await Organization.autocomplete(q, type, Math.min(parseInt(limit) || 10, 20));
+
+    return ApiResponse.success(res, { organizations });
+
+  } catch (error) {
+    logger.error('Search organizations error:', error);
+    return ApiResponse.error(res, 'Error searching organizations');
+  }
+};
+
+/**
+ * @desc    Get organization by ID (follows merges)
+ * @route   GET /api/v1/organizations/:organizationId
+ * @access  Private
+ */
+const getOrganization = async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+
+    if (!mongoose.isValidObjectId(organizationId)) {
+      return ApiResponse.notFound(res, 'Organization not found');
+    }
+
+    const organization = await Organization.findCanonicalById(organizationId);
+    if (!organization) {
+      return ApiResponse.notFound(res, 'Organization not found');
+    }
+
+    return ApiResponse.success(res, {
+      organization: {
+        _id: organization._id,
+        name: organization.name,
+        type: organization.type,
+        aliases: organization.aliases,
+        city: organization.city,
+        country: organization.country,
+        logoUrl: organization.logoUrl,
+        status: organization.status
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get organization error:', error);
+    return ApiResponse.error(res, 'Error fetching organization');
+  }
+};
+
+module.exports = {
+  searchOrganizations,
+  getOrganization
+};
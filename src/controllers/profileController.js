@@ -3,26 +3,133 @@
  * Handles profile creation, update, photos, and sharing
  */
 
+const mongoose = require('mongoose');
 const Profile = require('../models/Profile');
 const User = require('../models/User');
 const ProfileView = require('../models/ProfileView');
 const Block = require('../models/Block');
 const Conversation = require('../models/Conversation');
+const Organization = require('../models/Organization');
+const AffiliationVerification = require('../models/AffiliationVerification');
+const VerifiedAffiliationEmail = require('../models/VerifiedAffiliationEmail');
+const VerificationRequest = require('../models/VerificationRequest');
+const AppConfig = require('../models/AppConfig');
 const ApiResponse = require('../utils/apiResponse');
 const { 
   generateProfileLink, 
+  buildUsernameRedirect,
   generateQRCode, 
-  generateDeepLink 
+  generateDeepLink,
+  parseCoordinates
 } = require('../utils/helpers');
 const { 
   deleteImage, 
   getPublicIdFromUrl, 
   getBlurredImageUrl,
   getThumbnailUrl
-} = require('../config/cloudinary');
+} = require('../config/storage');
 const { sendProfileViewNotification } = require('../config/onesignal');
+const { sendAffiliationCodeEmail } = require('../utils/email');
 const logger = require('../utils/logger');
 
+/**
+ * Helper function to build a location from request input
+ * Stored coordinates are kept when the client only sends city/state/country
+ */
+const buildLocation = (input, current) => {
+  const existing = current?.toObject ? current.toObject() : (current || {});
+  if (!input) return existing;
+
+  let coordinates = existing.coordinates;
+  if (input.coordinates === null) {
+    // Location sharing turned off - back to the "not captured" default
+    coordinates = { type: 'Point', coordinates: [0, 0] };
+  } else {
+    const parsed = parseCoordinates(input.coordinates || input);
+    if (parsed) {
+      coordinates = { type: 'Point', coordinates: parsed };
+    }
+  }
+
+  return {
+    city: input.city ?? existing.city,
+    state: input.state ?? existing.state,
+    country: input.country ?? existing.country,
+    coordinates
+  };
+};
+
+/**
+ * Helper function to build match preferences from request input, on top of the current ones
+ * Older clients send a bare interestedIn array, which maps to preferences.genders.
+ * Returns null if the age range is inverted.
+ */
+const buildPreferences = (input, interestedIn, current = {}) => {
+  const preferences = { ...current, ...(input || {}) };
+  if (interestedIn && !input?.genders) {
+    preferences.genders = interestedIn;
+  }
+  if (!preferences.genders?.length) {
+    preferences.genders = ['everyone'];
+  }
+  if (preferences.ageMin && preferences.ageMax && preferences.ageMin > preferences.ageMax) {
+    return null;
+  }
+  return preferences;
+};
+
+/**
+ * Helper function to link a college/workplace to its canonical organization
+ * Accepts an organizationId picked from autocomplete, or free text that is
+ * resolved (or created as pending). Returns null if the organizationId is invalid.
+ * A verified badge is kept only while the organization stays the same.
+ */
+const buildAffiliation = async (input, current, type, userId) => {
+  const existing = current?.toObject ? current.toObject() : (current || {});
+  if (!input) return existing;
+
+  const nameField = type === 'college' ? 'name' : 'company';
+  // organization and verification are only ever set by the server
+  const {
+    organizationId,
+    organization,
+    verifiedAt,
+    verifiedUntil,
+    verifiedDomain,
+    ...affiliation
+  } = input;
+
+  let org = null;
+  if (organizationId) {
+    if (!mongoose.isValidObjectId(organizationId)) return null;
+    org = await Organization.findCanonicalById(organizationId);
+    if (!org || org.type !== type) return null;
+  } else if (affiliation[nameField]?.trim()) {
+    const sameName = existing.organization &&
+      Organization.normalizeName(affiliation[nameField]) === Organization.normalizeName(existing[nameField]);
+    org = sameName
+      ? await Organization.findCanonicalById(existing.organization)
+      : null;
+    if (!org) {
+      org = await Organization.resolve(affiliation[nameField], type, { createdBy: userId });
+    }
+  }
+
+  if (org) {
+    affiliation[nameField] = org.name;
+    affiliation.organization = org._id;
+    if (existing.organization && org._id.equals(existing.organization)) {
+      affiliation.verifiedAt = existing.verifiedAt;
+      affiliation.verifiedUntil = existing.verifiedUntil;
+      affiliation.verifiedDomain = existing.verifiedDomain;
+    }
+  } else {
+    affiliation[nameField] = undefined;
+    affiliation.organization = undefined;
+  }
+  return affiliation;
+};
+
 /**
  * @desc    Create/Setup profile
  * @route   POST /api/v1/profile/setup
@@ -50,6 +157,7 @@ const setupProfile = async (req, res) => {
       dateOfBirth,
       gender,
       interestedIn,
+      preferences,
       relationshipIntent,
       bio,
       interests,
@@ -91,6 +199,17 @@ const setupProfile = async (req, res) => {
       }
     }
 
+    const matchPreferences = buildPreferences(preferences, interestedIn, existingProfile?.toObject().preferences);
+    if (!matchPreferences) {
+      return ApiResponse.badRequest(res, 'Maximum age cannot be below the minimum age');
+    }
+
+    const collegeInfo = await buildAffiliation(college, existingProfile?.college, 'college', userId);
+    const workplaceInfo = await buildAffiliation(workplace, existingProfile?.workplace, 'company', userId);
+    if (!collegeInfo || !workplaceInfo) {
+      return ApiResponse.badRequest(res, 'Selected organization was not found');
+    }
+
     let profile;
     if (existingProfile) {
       // Update existing incomplete profile
@@ -124,15 +243,15 @@ const setupProfile = async (req, res) => {
         dateOfBirth,
         age: calculatedAge, // Set age manually to avoid validation issues
         gender,
-        interestedIn: interestedIn || existingProfile.interestedIn || ['everyone'],
+        preferences: matchPreferences,
         relationshipIntent,
         bio,
         interests: interests || [],
         whyOnApp,
         lookingFor,
-        location: location || existingProfile.location || {},
-        college: college || existingProfile.college || {},
-        workplace: workplace || existingProfile.workplace || {},
+        location: buildLocation(location, existingProfile.location),
+        college: collegeInfo,
+        workplace: workplaceInfo,
         visibility: visibility || existingProfile.visibility || 'discoverable',
         promptAnswers: promptAnswers || [],
       });
@@ -172,15 +291,15 @@ const setupProfile = async (req, res) => {
       dateOfBirth,
         age: calculatedAge, // Set age manually to ensure it passes validation
       gender,
-      interestedIn: interestedIn || ['everyone'],
+      preferences: matchPreferences,
       relationshipIntent,
       bio,
       interests: interests || [],
       whyOnApp,
       lookingFor,
-      location: location || {},
-      college: college || {},
-      workplace: workplace || {},
+      location: buildLocation(location),
+      college: collegeInfo,
+      workplace: workplaceInfo,
       visibility: visibility || 'discoverable',
       promptAnswers: promptAnswers || [],
       photos: []
@@ -270,7 +389,7 @@ const updateProfile = async (req, res) => {
     const allowedUpdates = [
       'name', 'alias', 'bio', 'interests', 'whyOnApp', 'lookingFor',
       'location', 'college', 'workplace', 'visibility', 'showInFeed',
-      'allowAnonymousMessages', 'photoBlurForAnonymous', 'interestedIn',
+      'allowAnonymousMessages', 'photoBlurForAnonymous', 'preferences',
       'relationshipIntent', 'promptAnswers', 'socialHandles'
     ];
 
@@ -282,6 +401,30 @@ const updateProfile = async (req, res) => {
       }
     });
 
+    // Merge match preferences (interestedIn from older clients included)
+    if (updates.preferences || req.body.interestedIn) {
+      updates.preferences = buildPreferences(updates.preferences, req.body.interestedIn, profile.toObject().preferences);
+      if (!updates.preferences) {
+        return ApiResponse.badRequest(res, 'Maximum age cannot be below the minimum age');
+      }
+    }
+
+    // Keep stored coordinates unless new ones are sent
+    if (updates.location) {
+      updates.location = buildLocation(updates.location, profile.location);
+    }
+
+    // Link college/workplace to canonical organizations
+    if (updates.college) {
+      updates.college = await buildAffiliation(updates.college, profile.college, 'college', req.userId);
+    }
+    if (updates.workplace) {
+      updates.workplace = await buildAffiliation(updates.workplace, profile.workplace, 'company', req.userId);
+    }
+    if (updates.college === null || updates.workplace === null) {
+      return ApiResponse.badRequest(res, 'Selected organization was not found');
+    }
+
     // Update profile
     Object.assign(profile, updates);
     profile.updatedAt = new Date();
@@ -345,7 +488,7 @@ const uploadPhoto = async (req, res) => {
     logger.info(`File received: ${req.file.originalname}, size: ${req.file.size}, mimetype: ${req.file.mimetype}`);
     logger.info(`File object keys: ${Object.keys(req.file).join(', ')}`);
     
-    // CloudinaryStorage provides path (URL) and filename (public_id)
+    // The storage uploader provides path (URL) and filename (storage key)
     const fileUrl = req.file.path || req.file.url || req.file.secure_url;
     const filePublicId = req.file.filename || req.file.public_id;
     
@@ -366,13 +509,21 @@ const uploadPhoto = async (req, res) => {
       return ApiResponse.badRequest(res, 'Maximum 4 photos allowed');
     }
 
+    // Every upload is queued for review; with pre-moderation it stays hidden until approved
+    const { photoModeration } = await AppConfig.getConfig();
+    const isPreModerated = photoModeration.mode === 'pre';
+
     // Add photo
     const isMain = profile.photos.length === 0;
     profile.photos.push({
       url: fileUrl,
       publicId: filePublicId,
+      width: req.file.width,
+      height: req.file.height,
       order: profile.photos.length,
-      isMain
+      isMain,
+      moderationStatus: isPreModerated ? 'pending' : 'approved',
+      awaitingReview: true
     });
 
     logger.info(`Attempting to save profile with ${profile.photos.length} photos`);
@@ -398,7 +549,9 @@ const uploadPhoto = async (req, res) => {
     return ApiResponse.success(res, {
       photos: profile.photos,
       uploadedPhoto: profile.photos[profile.photos.length - 1]
-    }, 'Photo uploaded successfully');
+    }, isPreModerated
+      ? 'Photo uploaded. It will be visible to others once reviewed.'
+      : 'Photo uploaded successfully');
 
   } catch (error) {
     logger.error('Upload photo error:', error);
@@ -553,7 +706,7 @@ const getProfileByUsername = async (req, res) => {
 
     logger.info(`Fetching profile for username: ${username}`);
 
-    const user = await User.findOne({ username, accountStatus: 'active' });
+    const { user, previousUsername } = await User.findActiveByUsername(username);
 
     if (!user) {
       logger.warn(`User not found with username: ${username}`);
@@ -629,7 +782,9 @@ const getProfileByUsername = async (req, res) => {
       profile: profileData,
       username: user.username,
       canMessage: !isOwnProfile,
-      isAnonymous: shouldBlur && !isOwnProfile
+      isAnonymous: shouldBlur && !isOwnProfile,
+      // Old share link or QR code - clients should update to the current username
+      ...(previousUsername && { redirect: buildUsernameRedirect(previousUsername, user.username) })
     });
 
   } catch (error) {
@@ -759,6 +914,228 @@ const getShareInfo = async (req, res) => {
   }
 };
 
+const AFFILIATION_KINDS = ['college', 'workplace'];
+
+/**
+ * @desc    Send a code to a college/work email to verify an affiliation
+ * @route   POST /api/v1/profile/affiliations/:kind/verify
+ * @access  Private
+ */
+const requestAffiliationVerification = async (req, res) => {
+  try {
+    const { kind } = req.params;
+    const email = req.body.email.trim().toLowerCase();
+
+    if (!AFFILIATION_KINDS.includes(kind)) {
+      return ApiResponse.badRequest(res, 'Affiliation must be college or workplace');
+    }
+
+    const profile = await Profile.findOne({ user: req.userId });
+    if (!profile?.[kind]?.organization) {
+      return ApiResponse.badRequest(res, `Add your ${kind} to your profile first`);
+    }
+
+    const organization = await Organization.findCanonicalById(profile[kind].organization);
+    if (!organization?.emailDomains?.length) {
+      return ApiResponse.badRequest(res, `Email verification isn't available for ${profile[kind].name || profile[kind].company} yet`);
+    }
+    if (!organization.ownsEmailDomain(email)) {
+      return ApiResponse.badRequest(res, `Please use an email address ending in ${organization.emailDomains.map(d => `@${d}`).join(' or ')}`);
+    }
+
+    const { affiliationVerification: policy } = await AppConfig.getConfig();
+    const code = await AffiliationVerification.issue(req.userId, kind, organization._id, email, policy);
+
+    const sent = await sendAffiliationCodeEmail(email, code, profile.name, organization.name, policy.codeExpiryMinutes);
+    if (!sent.success) {
+      return ApiResponse.error(res, 'Could not send verification code. Please try again.');
+    }
+
+    return ApiResponse.success(res, {
+      email,
+      expiresIn: policy.codeExpiryMinutes * 60
+    }, 'Verification code sent');
+
+  } catch (error) {
+    logger.error('Request affiliation verification error:', error);
+    return ApiResponse.error(res, 'Error sending verification code');
+  }
+};
+
+/**
+ * @desc    Confirm a college/work email code and add the verified badge
+ * @route   POST /api/v1/profile/affiliations/:kind/confirm
+ * @access  Private
+ */
+const confirmAffiliationVerification = async (req, res) => {
+  try {
+    const { kind } = req.params;
+    const { code } = req.body;
+
+    if (!AFFILIATION_KINDS.includes(kind)) {
+      return ApiResponse.badRequest(res, 'Affiliation must be college or workplace');
+    }
+
+    const { affiliationVerification: policy } = await AppConfig.getConfig();
+    const { status, verification } = await AffiliationVerification.consume(req.userId, kind, code, policy);
+    if (status === 'expired') {
+      return ApiResponse.badRequest(res, 'Verification code has expired. Please request a new one.');
+    }
+    if (status === 'invalid') {
+      return ApiResponse.unauthorized(res, 'Invalid verification code');
+    }
+
+    // The profile may have switched organizations since the code was sent
+    const profile = await Profile.findOne({ user: req.userId });
+    if (!profile?.[kind]?.organization?.equals(verification.organization)) {
+      return ApiResponse.conflict(res, `Your ${kind} changed since the code was sent. Please request a new code.`);
+    }
+
+    // One address verifies one profile - take the badge from whoever verified with it before
+    const previous = await VerifiedAffiliationEmail.claim(req.userId, kind, verification.organization, verification.email);
+    if (previous) {
+      await Profile.updateOne(
+        { user: previous.user, [`${kind}.organization`]: previous.organization },
+        { $unset: { [`${kind}.verifiedAt`]: 1, [`${kind}.verifiedUntil`]: 1, [`${kind}.verifiedDomain`]: 1 } }
+      );
+      logger.warn(`Verified ${kind} address moved from user ${previous.user} to ${req.userId}`);
+    }
+
+    const now = new Date();
+    profile[kind].verifiedAt = now;
+    profile[kind].verifiedUntil = new Date(now.getTime() + policy.validityDays * 24 * 60 * 60 * 1000);
+    profile[kind].verifiedDomain = verification.email.split('@').pop();
+    await profile.save();
+
+    logger.info(`Verified ${kind} affiliation for user ${req.userId}`);
+
+    return ApiResponse.success(res, {
+      [kind]: profile[kind],
+      verifiedAffiliations: profile.verifiedAffiliations
+    }, 'Affiliation verified');
+
+  } catch (error) {
+    logger.error('Confirm affiliation verification error:', error);
+    return ApiResponse.error(res, 'Error verifying affiliation');
+  }
+};
+
+/**
+ * Helper function to describe a selfie verification request for its owner
+ */
+const formatVerificationRequest = (request) => {
+  if (!request) return null;
+  return {
+    _id: request._id,
+    status: request.status,
+    gesture: request.gesture,
+    prompt: VerificationRequest.getGesturePrompt(request.gesture),
+    challengeExpiresAt: request.challengeExpiresAt,
+    submittedAt: request.submittedAt,
+    reviewedAt: request.reviewedAt,
+    rejectionReason: request.rejectionReason
+  };
+};
+
+/**
+ * @desc    Get photo verification status
+ * @route   GET /api/v1/profile/verification
+ * @access  Private
+ */
+const getVerificationStatus = async (req, res) => {
+  try {
+    const profile = await Profile.findOne({ user: req.userId }).select('isVerified verifiedAt');
+    if (!profile) {
+      return ApiResponse.notFound(res, 'Profile not found');
+    }
+
+    const request = await VerificationRequest.getLatestForUser(req.userId);
+
+    return ApiResponse.success(res, {
+      isVerified: profile.isVerified,
+      verifiedAt: profile.verifiedAt,
+      request: formatVerificationRequest(request)
+    });
+
+  } catch (error) {
+    logger.error('Get verification status error:', error);
+    return ApiResponse.error(res, 'Error fetching verification status');
+  }
+};
+
+/**
+ * @desc    Start photo verification - get a random gesture to copy in a selfie
+ * @route   POST /api/v1/profile/verification/challenge
+ * @access  Private
+ */
+const startVerification = async (req, res) => {
+  try {
+    const profile = await Profile.findOne({ user: req.userId });
+    if (!profile) {
+      return ApiResponse.notFound(res, 'Profile not found');
+    }
+    if (profile.isVerified) {
+      return ApiResponse.conflict(res, 'Your profile is already verified');
+    }
+    // Reviewers compare the selfie against profile photos
+    if (!profile.photos?.length) {
+      return ApiResponse.badRequest(res, 'Add at least one profile photo before verifying');
+    }
+
+    const pending = await VerificationRequest.exists({ user: req.userId, status: 'pending' });
+    if (pending) {
+      return ApiResponse.conflict(res, 'Your verification selfie is already being reviewed');
+    }
+
+    const request = await VerificationRequest.issueChallenge(req.userId, profile._id);
+
+    return ApiResponse.created(res, { request: formatVerificationRequest(request) }, 'Copy the gesture and take a selfie');
+
+  } catch (error) {
+    logger.error('Start verification error:', error);
+    return ApiResponse.error(res, 'Error starting verification');
+  }
+};
+
+/**
+ * @desc    Submit the gesture selfie for review
+ * @route   POST /api/v1/profile/verification
+ * @access  Private
+ */
+const submitVerificationSelfie = async (req, res) => {
+  try {
+    if (!req.file) {
+      return ApiResponse.badRequest(res, 'Please upload a selfie');
+    }
+
+    const selfiePublicId = req.file.filename || req.file.public_id;
+
+    const request = await VerificationRequest.findOne({
+      user: req.userId,
+      status: 'awaiting_selfie',
+      challengeExpiresAt: { $gt: new Date() }
+    });
+
+    if (!request) {
+      await deleteImage(selfiePublicId, { visibility: 'private' }).catch(() => {});
+      return ApiResponse.badRequest(res, 'Your gesture challenge has expired. Please start again.');
+    }
+
+    request.selfie = { publicId: selfiePublicId, uploadedAt: new Date() };
+    request.status = 'pending';
+    request.submittedAt = new Date();
+    await request.save();
+
+    logger.info(`Verification selfie submitted by user ${req.userId}`);
+
+    return ApiResponse.success(res, { request: formatVerificationRequest(request) }, 'Selfie submitted for review');
+
+  } catch (error) {
+    logger.error('Submit verification selfie error:', error);
+    return ApiResponse.error(res, 'Error submitting verification selfie');
+  }
+};
+
 module.exports = {
   setupProfile,
   getMyProfile,
@@ -769,6 +1146,11 @@ module.exports = {
   setMainPhoto,
   getProfileByUsername,
   getProfileByUserId,
-  getShareInfo
+  getShareInfo,
+  requestAffiliationVerification,
+  confirmAffiliationVerification,
+  getVerificationStatus,
+  startVerification,
+  submitVerificationSelfie
 };
 
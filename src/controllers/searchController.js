@@ -6,8 +6,19 @@
 const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Block = require('../models/Block');
+const AppConfig = require('../models/AppConfig');
+const Organization = require('../models/Organization');
 const ApiResponse = require('../utils/apiResponse');
-const { getBlurredImageUrl } = require('../config/cloudinary');
+const { getBlurredImageUrl } = require('../config/storage');
+const { getProfileDistanceKm } = require('../utils/ranking');
+const {
+  buildUsernameRedirect,
+  hasCoordinates,
+  roundDistanceKm,
+  toPublicLocation,
+  escapeRegex,
+  getVisiblePhotos
+} = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 /**
@@ -26,10 +37,27 @@ const searchUsers = async (req, res) => {
       ageMax,
       gender,
       interests,
+      maxDistanceKm,
+      verifiedOnly,
       page = 1,
       limit = 20
     } = req.query;
 
+    // Distance filter needs the searcher's coordinates
+    const myProfile = await Profile.findOne({ user: req.userId }).select('location gender age relationshipIntent preferences');
+    if (!myProfile) {
+      return ApiResponse.badRequest(res, 'Please complete your profile first');
+    }
+    const origin = hasCoordinates(myProfile.location) ? [...myProfile.location.coordinates.coordinates] : null;
+    let maxDistance = null;
+    if (maxDistanceKm) {
+      if (!origin) {
+        return ApiResponse.badRequest(res, 'Share your location to filter by distance');
+      }
+      const { limits } = await AppConfig.getConfig();
+      maxDistance = Math.min(parseFloat(maxDistanceKm), limits.maxDistanceKm);
+    }
+
     // Get blocked user IDs
     const blockedIds = await Block.getAllBlockRelatedUserIds(req.userId);
 
@@ -38,12 +66,14 @@ const searchUsers = async (req, res) => {
       user: { $ne: req.userId, $nin: blockedIds.map(id => id) },
       visibility: { $in: ['searchable', 'discoverable'] },
       isComplete: true,
-      isBanned: false
+      isBanned: false,
+      // Only people whose preferences fit both ways (explicit filters replace the searcher's own)
+      ...Profile.buildMatchFilter(myProfile, { gender, ageMin, ageMax })
     };
 
     // Text search on name, bio, interests
     if (q && q.length >= 2) {
-      const searchRegex = new RegExp(q, 'i');
+      const searchRegex = new RegExp(escapeRegex(q), 'i');
       query.$or = [
         { name: searchRegex },
         { alias: searchRegex },
@@ -52,19 +82,19 @@ const searchUsers = async (req, res) => {
       ];
     }
 
-    // Filter by college
+    // Filter by college (organization id or name)
     if (college) {
-      query['college.name'] = new RegExp(college, 'i');
+      query['college.organization'] = await Organization.buildProfileFilter(college, 'college');
     }
 
-    // Filter by workplace
+    // Filter by workplace (organization id or name)
     if (workplace) {
-      query['workplace.company'] = new RegExp(workplace, 'i');
+      query['workplace.organization'] = await Organization.buildProfileFilter(workplace, 'company');
     }
 
     // Filter by city
     if (city) {
-      query['location.city'] = new RegExp(city, 'i');
+      query['location.city'] = new RegExp(escapeRegex(city), 'i');
     }
 
     // Filter by age range
@@ -79,33 +109,57 @@ const searchUsers = async (req, res) => {
       query.gender = gender;
     }
 
+    // Only photo-verified profiles
+    if (verifiedOnly === 'true') {
+      query.isVerified = true;
+    }
+
     // Filter by interests
     if (interests) {
       const interestArray = interests.split(',').map(i => i.trim().toLowerCase());
       query.interests = { $in: interestArray };
     }
 
-    // Execute search
-    const profiles = await Profile.find(query)
-      .populate({
-        path: 'user',
-        select: 'username',
-        match: { accountStatus: 'active' }
-      })
-      .select('name alias photos bio interests age gender location college workplace whyOnApp lookingFor')
-      .sort({ viewCount: -1, createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+    // Execute search (nearest first when filtering by distance)
+    const fields = 'name alias photos bio interests age gender isVerified location locationPrecision college workplace whyOnApp lookingFor preferences';
+    const userPopulate = {
+      path: 'user',
+      select: 'username',
+      match: { accountStatus: 'active' }
+    };
+    let profiles;
+    if (maxDistance) {
+      const nearbyProfiles = await Profile.findNearby(origin, maxDistance, query, {
+        skip: (page - 1) * limit,
+        limit: parseInt(limit),
+        select: fields
+      });
+      profiles = await Profile.populate(nearbyProfiles, userPopulate);
+    } else {
+      profiles = await Profile.find(query)
+        .populate(userPopulate)
+        .select(fields)
+        .sort({ viewCount: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit));
+    }
 
     // Filter out profiles where user is null (deleted/inactive accounts)
-    const validProfiles = profiles.filter(p => p.user);
+    // and profiles further away than they want to be found
+    const validProfiles = profiles.filter(p =>
+      p.user && Profile.isWithinPreferredDistance(p, getProfileDistanceKm(p, origin))
+    );
 
     // Format response (show blurred photos for anonymous view)
     const formattedProfiles = validProfiles.map(profile => {
-      const profileObj = profile.toObject();
+      // $geoNear distance (meters) or computed from coordinates
+      const distanceKm = getProfileDistanceKm(profile, origin);
+      const profileObj = profile.toObject ? profile.toObject() : { ...profile };
+      delete profileObj.distance;
+      delete profileObj.preferences;
       
-      // Ensure photos are plain objects and add blurredUrl
-      const photos = (profileObj.photos || []).map(photo => {
+      // Only approved photos; ensure photos are plain objects and add blurredUrl
+      const photos = getVisiblePhotos(profileObj.photos).map(photo => {
         const photoObj = photo.toObject ? photo.toObject() : photo;
         return {
           _id: photoObj._id || photoObj.id,
@@ -120,11 +174,15 @@ const searchUsers = async (req, res) => {
 
       return {
         ...profileObj,
-        photos
+        location: toPublicLocation(profileObj.location),
+        photos,
+        distanceKm: distanceKm === null ? null : roundDistanceKm(distanceKm, profileObj.locationPrecision)
       };
     });
 
-    const total = await Profile.countDocuments(query);
+    const total = maxDistance
+      ? await Profile.countNearby(origin, maxDistance, query)
+      : await Profile.countDocuments(query);
 
     return ApiResponse.paginated(res, formattedProfiles, {
       page: parseInt(page),
@@ -147,10 +205,7 @@ const searchByUsername = async (req, res) => {
   try {
     const { username } = req.params;
 
-    const user = await User.findOne({
-      username: username.toLowerCase(),
-      accountStatus: 'active'
-    });
+    const { user, previousUsername } = await User.findActiveByUsername(username);
 
     if (!user) {
       return ApiResponse.notFound(res, 'User not found');
@@ -171,7 +226,7 @@ const searchByUsername = async (req, res) => {
       user: user._id,
       visibility: { $ne: 'invisible' },
       isBanned: false
-    }).select('name alias photos bio interests age gender location college workplace whyOnApp lookingFor');
+    }).select('name alias photos bio interests age gender isVerified location college workplace whyOnApp lookingFor');
 
     if (!profile) {
       return ApiResponse.notFound(res, 'Profile not found');
@@ -179,8 +234,8 @@ const searchByUsername = async (req, res) => {
 
     const profileObj = profile.toObject();
     
-    // Ensure photos are plain objects and add blurredUrl
-    const photos = (profileObj.photos || []).map(photo => {
+    // Only approved photos; ensure photos are plain objects and add blurredUrl
+    const photos = getVisiblePhotos(profileObj.photos).map(photo => {
       const photoObj = photo.toObject ? photo.toObject() : photo;
       return {
         _id: photoObj._id || photoObj.id,
@@ -196,9 +251,11 @@ const searchByUsername = async (req, res) => {
     return ApiResponse.success(res, {
       profile: {
         ...profileObj,
+        location: toPublicLocation(profileObj.location),
         photos
       },
-      username: user.username
+      username: user.username,
+      ...(previousUsername && { redirect: buildUsernameRedirect(previousUsername, user.username) })
     });
 
   } catch (error) {
@@ -220,11 +277,14 @@ const getSearchSuggestions = async (req, res) => {
       return ApiResponse.success(res, { suggestions: [] });
     }
 
-    const searchRegex = new RegExp(`^${q}`, 'i');
+    const searchRegex = new RegExp(`^${escapeRegex(q)}`, 'i');
     const suggestions = {
       users: [],
       colleges: [],
       companies: [],
+      // Same suggestions with ids, for filtering by organization
+      collegeOrganizations: [],
+      companyOrganizations: [],
       interests: []
     };
 
@@ -246,20 +306,16 @@ const getSearchSuggestions = async (req, res) => {
 
     if (type === 'all' || type === 'colleges') {
       // Get college suggestions
-      const colleges = await Profile.distinct('college.name', {
-        'college.name': searchRegex,
-        user: { $ne: req.userId }
-      });
-      suggestions.colleges = colleges.slice(0, 5);
+      const colleges = await Organization.autocomplete(q, 'college', 5);
+      suggestions.colleges = colleges.map(c => c.name);
+      suggestions.collegeOrganizations = colleges.map(c => ({ _id: c._id, name: c.name }));
     }
 
     if (type === 'all' || type === 'companies') {
       // Get company suggestions
-      const companies = await Profile.distinct('workplace.company', {
-        'workplace.company': searchRegex,
-        user: { $ne: req.userId }
-      });
-      suggestions.companies = companies.slice(0, 5);
+      const companies = await Organization.autocomplete(q, 'company', 5);
+      suggestions.companies = companies.map(c => c.name);
+      suggestions.companyOrganizations = companies.map(c => ({ _id: c._id, name: c.name }));
     }
 
     if (type === 'all' || type === 'interests') {
@@ -288,16 +344,16 @@ const getPopularSearches = async (req, res) => {
   try {
     // Get popular colleges
     const popularColleges = await Profile.aggregate([
-      { $match: { 'college.name': { $exists: true, $ne: '' } } },
-      { $group: { _id: '$college.name', count: { $sum: 1 } } },
+      { $match: { 'college.organization': { $exists: true } } },
+      { $group: { _id: '$college.organization', name: { $first: '$college.name' }, count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 5 }
     ]);
 
     // Get popular companies
     const popularCompanies = await Profile.aggregate([
-      { $match: { 'workplace.company': { $exists: true, $ne: '' } } },
-      { $group: { _id: '$workplace.company', count: { $sum: 1 } } },
+      { $match: { 'workplace.organization': { $exists: true } } },
+      { $group: { _id: '$workplace.organization', name: { $first: '$workplace.company' }, count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 5 }
     ]);
@@ -311,8 +367,11 @@ const getPopularSearches = async (req, res) => {
     ]);
 
     return ApiResponse.success(res, {
-      colleges: popularColleges.map(c => c._id),
-      companies: popularCompanies.map(c => c._id),
+      colleges: popularColleges.map(c => c.name),
+      companies: popularCompanies.map(c => c.name),
+      // Same lists with ids, for filtering by organization
+      collegeOrganizations: popularColleges.map(c => ({ _id: c._id, name: c.name })),
+      companyOrganizations: popularCompanies.map(c => ({ _id: c._id, name: c.name })),
       interests: popularInterests.map(i => i._id)
     });
 
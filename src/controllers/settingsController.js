@@ -5,13 +5,55 @@
 
 const User = require('../models/User');
 const Profile = require('../models/Profile');
-const Conversation = require('../models/Conversation');
-const MessageRequest = require('../models/MessageRequest');
-const Block = require('../models/Block');
+const ActivityLog = require('../models/ActivityLog');
+const DataExport = require('../models/DataExport');
+const UsernameHistory = require('../models/UsernameHistory');
+const AppConfig = require('../models/AppConfig');
+const PhoneOtp = require('../models/PhoneOtp');
 const ApiResponse = require('../utils/apiResponse');
-const { deleteImage } = require('../config/cloudinary');
+const { sendEmailChangeConfirmEmail } = require('../utils/email');
+const { sendOtpSms } = require('../utils/sms');
+const { generateQRCode, normalizePhone } = require('../utils/helpers');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+const { verifyGoogleIdToken } = require('../config/google');
+const { processDataExport } = require('../jobs/dataExport');
 const logger = require('../utils/logger');
 
+/**
+ * Confirm identity with whichever login method the account has
+ * Returns an error message, or null when re-authenticated (password must be selected)
+ */
+const reauthenticate = async (user, { password, idToken, phoneCode }) => {
+  if (user.password) {
+    const isMatch = await user.comparePassword(password || '');
+    return isMatch ? null : 'Password is incorrect';
+  }
+
+  if (user.googleId) {
+    if (!idToken) {
+      return 'Please re-authenticate with Google';
+    }
+    try {
+      const payload = await verifyGoogleIdToken(idToken);
+      return payload.sub === user.googleId ? null : 'Google account does not match';
+    } catch (error) {
+      return 'Google re-authentication failed';
+    }
+  }
+
+  // Phone-only accounts confirm with a code from POST /auth/phone/otp
+  if (user.phone && user.phoneVerifiedAt) {
+    if (!phoneCode) {
+      return 'Please re-authenticate with the code sent to your phone';
+    }
+    const { phoneAuth: policy } = await AppConfig.getConfig();
+    const result = await PhoneOtp.consume(user.phone, 'login', phoneCode, policy);
+    return result === 'valid' ? null : 'Invalid or expired verification code';
+  }
+
+  return 'No login method available';
+};
+
 /**
  * @desc    Get all settings
  * @route   GET /api/v1/settings
@@ -25,6 +67,10 @@ const getSettings = async (req, res) => {
     const settings = {
       account: {
         email: user.email,
+        emailVerified: !!user.emailVerifiedAt,
+        pendingEmail: user.emailChange?.newEmail || null,
+        phone: user.phone || null,
+        phoneVerified: !!user.phoneVerifiedAt,
         username: user.username,
         createdAt: user.createdAt
       },
@@ -33,13 +79,19 @@ const getSettings = async (req, res) => {
         showInFeed: profile?.showInFeed ?? true,
         allowAnonymousMessages: profile?.allowAnonymousMessages ?? true,
         photoBlurForAnonymous: profile?.photoBlurForAnonymous ?? true,
+        locationPrecision: profile?.locationPrecision || 'neighborhood',
         messagePreferences: profile?.messagePreferences || {
           allowFrom: 'anyone',
           sameCollege: false,
           sameWorkplace: false,
-          sameLocation: false
+          sameLocation: false,
+          requireVerified: false
         }
       },
+      security: {
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        twoFactorEnabledAt: user.twoFactor?.enabledAt || null
+      },
       notifications: user.notificationPreferences || {
         messageRequests: true,
         messages: true,
@@ -72,9 +124,14 @@ const updatePrivacySettings = async (req, res) => {
       showInFeed,
       allowAnonymousMessages,
       photoBlurForAnonymous,
+      locationPrecision,
       messagePreferences
     } = req.body;
 
+    if (locationPrecision !== undefined && !['exact', 'neighborhood', 'city'].includes(locationPrecision)) {
+      return ApiResponse.badRequest(res, 'Location precision must be exact, neighborhood or city');
+    }
+
     const profile = await Profile.findOne({ user: req.userId });
 
     if (!profile) {
@@ -85,6 +142,8 @@ const updatePrivacySettings = async (req, res) => {
     if (showInFeed !== undefined) profile.showInFeed = showInFeed;
     if (allowAnonymousMessages !== undefined) profile.allowAnonymousMessages = allowAnonymousMessages;
     if (photoBlurForAnonymous !== undefined) profile.photoBlurForAnonymous = photoBlurForAnonymous;
+    // Stored coordinates are re-snapped to the new precision on save
+    if (locationPrecision !== undefined) profile.locationPrecision = locationPrecision;
     
     // Update message preferences
     if (messagePreferences !== undefined) {
@@ -103,6 +162,9 @@ const updatePrivacySettings = async (req, res) => {
       if (messagePreferences.sameLocation !== undefined) {
         profile.messagePreferences.sameLocation = messagePreferences.sameLocation;
       }
+      if (messagePreferences.requireVerified !== undefined) {
+        profile.messagePreferences.requireVerified = messagePreferences.requireVerified;
+      }
     }
 
     await profile.save();
@@ -113,11 +175,13 @@ const updatePrivacySettings = async (req, res) => {
         showInFeed: profile.showInFeed,
         allowAnonymousMessages: profile.allowAnonymousMessages,
         photoBlurForAnonymous: profile.photoBlurForAnonymous,
+        locationPrecision: profile.locationPrecision,
         messagePreferences: profile.messagePreferences || {
           allowFrom: 'anyone',
           sameCollege: false,
           sameWorkplace: false,
-          sameLocation: false
+          sameLocation: false,
+          requireVerified: false
         }
       }
     }, 'Privacy settings updated');
@@ -160,14 +224,14 @@ const changePassword = async (req, res) => {
 
     const user = await User.findById(req.userId).select('+password');
 
-    // Check if user has password (might be Google-only)
+    // Google-only accounts set an initial password from linked identities
     if (!user.password) {
-      return ApiResponse.badRequest(res, 'Your account uses Google sign-in. You cannot set a password.');
+      return ApiResponse.badRequest(res, 'Your account does not have a password yet. Set one from linked sign-in methods.');
     }
 
     // Verify current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
+    const authError = await reauthenticate(user, { password: currentPassword });
+    if (authError) {
       return ApiResponse.unauthorized(res, 'Current password is incorrect');
     }
 
@@ -188,37 +252,332 @@ const changePassword = async (req, res) => {
 };
 
 /**
- * @desc    Update email
- * @route   PUT /api/v1/settings/email
+ * @desc    Get linked sign-in methods
+ * @route   GET /api/v1/settings/identities
  * @access  Private
  */
-const updateEmail = async (req, res) => {
+const getIdentities = async (req, res) => {
   try {
-    const { newEmail, password } = req.body;
+    const user = await User.findById(req.userId).select('+password');
+    const methods = user.getLoginMethods();
+
+    return ApiResponse.success(res, {
+      identities: [
+        { provider: 'password', linked: methods.includes('password') },
+        { provider: 'google', linked: methods.includes('google') },
+        { provider: 'phone', linked: methods.includes('phone'), phone: user.phone || null }
+      ],
+      canUnlink: methods.length > 1
+    });
+
+  } catch (error) {
+    logger.error('Get identities error:', error);
+    return ApiResponse.error(res, 'Error fetching linked sign-in methods');
+  }
+};
+
+/**
+ * @desc    Link Google account
+ * @route   POST /api/v1/settings/identities/google
+ * @access  Private
+ */
+const linkGoogle = async (req, res) => {
+  try {
+    const { idToken, password, phoneCode } = req.body;
+
+    if (!idToken) {
+      return ApiResponse.badRequest(res, 'Google ID token is required');
+    }
+
+    const user = await User.findById(req.userId).select('+password');
+
+    if (user.googleId) {
+      return ApiResponse.conflict(res, 'A Google account is already linked');
+    }
+
+    const authError = await reauthenticate(user, { password, phoneCode });
+    if (authError) {
+      return ApiResponse.unauthorized(res, authError);
+    }
+
+    let payload;
+    try {
+      payload = await verifyGoogleIdToken(idToken);
+    } catch (error) {
+      return ApiResponse.unauthorized(res, 'Google token verification failed');
+    }
+
+    const existing = await User.findOne({ googleId: payload.sub });
+    if (existing) {
+      return ApiResponse.conflict(res, 'This Google account is already linked to another bibbly account');
+    }
+
+    user.googleId = payload.sub;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Google linked for user ${req.userId}`);
+
+    return ApiResponse.success(res, null, 'Google account linked');
+
+  } catch (error) {
+    logger.error('Link Google error:', error);
+    return ApiResponse.error(res, 'Error linking Google account');
+  }
+};
+
+/**
+ * @desc    Unlink Google account
+ * @route   DELETE /api/v1/settings/identities/google
+ * @access  Private
+ */
+const unlinkGoogle = async (req, res) => {
+  try {
+    const { password, phoneCode } = req.body;
+
+    const user = await User.findById(req.userId).select('+password');
+
+    if (!user.googleId) {
+      return ApiResponse.badRequest(res, 'No Google account is linked');
+    }
+
+    // Never remove the last way to sign in
+    if (user.getLoginMethods().length < 2) {
+      return ApiResponse.badRequest(res, 'Set a password before unlinking Google, or you won\'t be able to log in');
+    }
+
+    const authError = await reauthenticate(user, { password, phoneCode });
+    if (authError) {
+      return ApiResponse.unauthorized(res, authError);
+    }
+
+    user.googleId = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Google unlinked for user ${req.userId}`);
+
+    return ApiResponse.success(res, null, 'Google account unlinked');
+
+  } catch (error) {
+    logger.error('Unlink Google error:', error);
+    return ApiResponse.error(res, 'Error unlinking Google account');
+  }
+};
+
+/**
+ * @desc    Set initial password for Google-only accounts
+ * @route   POST /api/v1/settings/identities/password
+ * @access  Private
+ */
+const setPassword = async (req, res) => {
+  try {
+    const { password, idToken, phoneCode } = req.body;
 
     const user = await User.findById(req.userId).select('+password');
 
-    // Verify password if set
     if (user.password) {
-      const isMatch = await user.comparePassword(password);
-      if (!isMatch) {
-        return ApiResponse.unauthorized(res, 'Password is incorrect');
-      }
+      return ApiResponse.badRequest(res, 'Your account already has a password. Use change password instead.');
     }
 
-    // Check if email is taken
-    const existing = await User.findOne({ email: newEmail.toLowerCase() });
+    // Password login needs an email address
+    if (!user.email) {
+      return ApiResponse.badRequest(res, 'Add an email address before setting a password');
+    }
+
+    // Google/phone-only: re-authenticate with the linked method
+    const authError = await reauthenticate(user, { idToken, phoneCode });
+    if (authError) {
+      return ApiResponse.unauthorized(res, authError);
+    }
+
+    user.password = password;
+    await user.save();
+
+    logger.info(`Initial password set for user ${req.userId}`);
+
+    return ApiResponse.success(res, null, 'Password set. You can now log in with your email and password.');
+
+  } catch (error) {
+    logger.error('Set password error:', error);
+    return ApiResponse.error(res, 'Error setting password');
+  }
+};
+
+/**
+ * @desc    Send a code to link (or replace) the account phone number
+ * @route   POST /api/v1/settings/identities/phone
+ * @access  Private
+ */
+const linkPhone = async (req, res) => {
+  try {
+    const { password, idToken, phoneCode } = req.body;
+    const { phoneAuth: policy } = await AppConfig.getConfig();
+
+    const phone = normalizePhone(req.body.phone, policy.defaultCountryCode);
+    if (!phone) {
+      return ApiResponse.badRequest(res, 'Please provide a valid phone number');
+    }
+
+    const user = await User.findById(req.userId).select('+password');
+
+    if (user.phone === phone) {
+      return ApiResponse.conflict(res, 'This phone number is already linked');
+    }
+
+    const authError = await reauthenticate(user, { password, idToken, phoneCode });
+    if (authError) {
+      return ApiResponse.unauthorized(res, authError);
+    }
+
+    const existing = await User.findByPhone(phone);
+    if (existing) {
+      return ApiResponse.conflict(res, 'This phone number is already linked to another account');
+    }
+
+    const { code, retryAfter } = await PhoneOtp.issue(phone, 'link', policy, user._id);
+    if (retryAfter) {
+      return ApiResponse.tooManyRequests(res, `Please wait ${retryAfter} seconds before requesting another code`, { retryAfter });
+    }
+
+    const sent = await sendOtpSms(phone, code, policy.otpExpiryMinutes);
+    if (!sent.success) {
+      return ApiResponse.error(res, 'Could not send verification code. Please try again.');
+    }
+
+    return ApiResponse.success(res, {
+      phone,
+      expiresIn: policy.otpExpiryMinutes * 60,
+      resendIn: policy.resendCooldownSeconds
+    }, 'Verification code sent');
+
+  } catch (error) {
+    logger.error('Link phone error:', error);
+    return ApiResponse.error(res, 'Error sending verification code');
+  }
+};
+
+/**
+ * @desc    Confirm the code sent to a new phone number
+ * @route   POST /api/v1/settings/identities/phone/verify
+ * @access  Private
+ */
+const verifyPhone = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const { phoneAuth: policy } = await AppConfig.getConfig();
+
+    const phone = normalizePhone(req.body.phone, policy.defaultCountryCode);
+    if (!phone) {
+      return ApiResponse.badRequest(res, 'Please provide a valid phone number');
+    }
+
+    const result = await PhoneOtp.consume(phone, 'link', code, policy, req.userId);
+    if (result === 'expired') {
+      return ApiResponse.badRequest(res, 'Verification code has expired. Please request a new one.');
+    }
+    if (result === 'invalid') {
+      return ApiResponse.unauthorized(res, 'Invalid verification code');
+    }
+
+    // Number may have been registered since the code was sent
+    const existing = await User.findByPhone(phone);
     if (existing) {
+      return ApiResponse.conflict(res, 'This phone number is already linked to another account');
+    }
+
+    const user = await User.findById(req.userId);
+    user.phone = phone;
+    user.phoneVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Phone linked for user ${req.userId}`);
+
+    return ApiResponse.success(res, { phone }, 'Phone number verified');
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return ApiResponse.conflict(res, 'This phone number is already linked to another account');
+    }
+    logger.error('Verify phone error:', error);
+    return ApiResponse.error(res, 'Error verifying phone number');
+  }
+};
+
+/**
+ * @desc    Remove the account phone number
+ * @route   DELETE /api/v1/settings/identities/phone
+ * @access  Private
+ */
+const unlinkPhone = async (req, res) => {
+  try {
+    const { password, idToken } = req.body;
+
+    const user = await User.findById(req.userId).select('+password');
+
+    if (!user.phone) {
+      return ApiResponse.badRequest(res, 'No phone number is linked');
+    }
+
+    // Never remove the last way to sign in (or the only contact address)
+    if (user.getLoginMethods().length < 2 || !user.email) {
+      return ApiResponse.badRequest(res, 'Add an email and another sign-in method before removing your phone number');
+    }
+
+    const authError = await reauthenticate(user, { password, idToken });
+    if (authError) {
+      return ApiResponse.unauthorized(res, authError);
+    }
+
+    user.phone = undefined;
+    user.phoneVerifiedAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Phone unlinked for user ${req.userId}`);
+
+    return ApiResponse.success(res, null, 'Phone number removed');
+
+  } catch (error) {
+    logger.error('Unlink phone error:', error);
+    return ApiResponse.error(res, 'Error removing phone number');
+  }
+};
+
+/**
+ * @desc    Request email change (confirmed from the new address)
+ * @route   PUT /api/v1/settings/email
+ * @access  Private
+ */
+const updateEmail = async (req, res) => {
+  try {
+    const { newEmail, password, idToken, phoneCode } = req.body;
+
+    const user = await User.findById(req.userId).select('+password');
+
+    const authError = await reauthenticate(user, { password, idToken, phoneCode });
+    if (authError) {
+      return ApiResponse.unauthorized(res, authError);
+    }
+
+    if (newEmail.toLowerCase() === user.email) {
+      return ApiResponse.badRequest(res, 'This is already your email address');
+    }
+
+    // Check if email is taken (or held for an email change revert)
+    const emailAvailable = await User.isEmailAvailable(newEmail, user._id);
+    if (!emailAvailable) {
       return ApiResponse.conflict(res, 'This email is already in use');
     }
 
-    // Update email
-    user.email = newEmail.toLowerCase();
-    await user.save();
+    // Current email stays active until the new address is confirmed
+    const confirmToken = user.createEmailChangeToken(newEmail);
+    await user.save({ validateBeforeSave: false });
 
-    logger.info(`Email updated for user ${req.userId}`);
+    await sendEmailChangeConfirmEmail(user.emailChange.newEmail, confirmToken, user.username);
 
-    return ApiResponse.success(res, null, 'Email updated successfully.');
+    logger.info(`Email change requested for user ${req.userId}`);
+
+    return ApiResponse.success(res, {
+      pendingEmail: user.emailChange.newEmail
+    }, 'Check your new email address to confirm the change.');
 
   } catch (error) {
     logger.error('Update email error:', error);
@@ -244,19 +603,32 @@ const changeUsername = async (req, res) => {
       return ApiResponse.badRequest(res, 'Username must be between 3 and 30 characters');
     }
 
-    // Check if taken
-    const existing = await User.findOne({ username: username.toLowerCase() });
-    if (existing && existing._id.toString() !== req.userId.toString()) {
+    const user = await User.findById(req.userId);
+    const newUsername = username.toLowerCase();
+    const oldUsername = user.username;
+
+    if (newUsername === oldUsername) {
+      return ApiResponse.badRequest(res, 'This is already your username');
+    }
+
+    // Check if taken (or held for its previous owner)
+    const available = await User.isUsernameAvailable(newUsername, req.userId);
+    if (!available) {
       return ApiResponse.conflict(res, 'This username is already taken');
     }
 
-    await User.findByIdAndUpdate(req.userId, {
-      username: username.toLowerCase()
-    });
+    user.username = newUsername;
+    await user.save({ validateBeforeSave: false });
+
+    // Keep old share links working and hold the old name for this user
+    await UsernameHistory.recordChange(user._id, oldUsername);
 
     logger.info(`Username changed for user ${req.userId}`);
 
-    return ApiResponse.success(res, { username }, 'Username updated');
+    return ApiResponse.success(res, {
+      username: newUsername,
+      previousUsername: oldUsername
+    }, 'Username updated');
 
   } catch (error) {
     logger.error('Change username error:', error);
@@ -265,47 +637,245 @@ const changeUsername = async (req, res) => {
 };
 
 /**
- * @desc    Export user data (GDPR)
- * @route   GET /api/v1/settings/export
+ * @desc    Start 2FA enrollment (returns secret and QR code)
+ * @route   POST /api/v1/settings/2fa/setup
  * @access  Private
  */
-const exportData = async (req, res) => {
+const setupTwoFactor = async (req, res) => {
   try {
-    const user = await User.findById(req.userId).select('-password -refreshTokens');
-    const profile = await Profile.findOne({ user: req.userId });
-    const conversations = await Conversation.find({ 'participants.user': req.userId });
-    const requests = await MessageRequest.find({
-      $or: [{ sender: req.userId }, { recipient: req.userId }]
+    const user = await User.findById(req.userId);
+
+    if (user.twoFactor?.enabled) {
+      return ApiResponse.badRequest(res, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUrl = buildOtpAuthUrl(secret, user.email || user.username);
+    const qrCode = await generateQRCode(otpauthUrl);
+
+    return ApiResponse.success(res, {
+      secret,
+      otpauthUrl,
+      qrCode
+    }, 'Scan the QR code with your authenticator app');
+
+  } catch (error) {
+    logger.error('Setup 2FA error:', error);
+    return ApiResponse.error(res, 'Error setting up two-factor authentication');
+  }
+};
+
+/**
+ * @desc    Confirm 2FA enrollment
+ * @route   POST /api/v1/settings/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return ApiResponse.badRequest(res, 'Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return ApiResponse.badRequest(res, 'Please start two-factor setup first');
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return ApiResponse.badRequest(res, 'Invalid verification code');
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const backupCodes = user.regenerateBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA enabled for user ${req.userId}`);
+
+    return ApiResponse.success(res, {
+      backupCodes
+    }, 'Two-factor authentication enabled. Store your backup codes somewhere safe.');
+
+  } catch (error) {
+    logger.error('Enable 2FA error:', error);
+    return ApiResponse.error(res, 'Error enabling two-factor authentication');
+  }
+};
+
+/**
+ * @desc    Disable 2FA
+ * @route   DELETE /api/v1/settings/2fa
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, idToken, phoneCode, code } = req.body;
+
+    const user = await User.findById(req.userId)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor?.enabled) {
+      return ApiResponse.badRequest(res, 'Two-factor authentication is not enabled');
+    }
+
+    const authError = await reauthenticate(user, { password, idToken, phoneCode });
+    if (authError) {
+      return ApiResponse.unauthorized(res, authError);
+    }
+
+    if (!user.verifyTwoFactorCode(code).valid) {
+      return ApiResponse.unauthorized(res, 'Invalid verification code');
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA disabled for user ${req.userId}`);
+
+    return ApiResponse.success(res, null, 'Two-factor authentication disabled');
+
+  } catch (error) {
+    logger.error('Disable 2FA error:', error);
+    return ApiResponse.error(res, 'Error disabling two-factor authentication');
+  }
+};
+
+/**
+ * @desc    Regenerate 2FA backup codes
+ * @route   POST /api/v1/settings/2fa/backup-codes
+ * @access  Private
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor?.enabled) {
+      return ApiResponse.badRequest(res, 'Two-factor authentication is not enabled');
+    }
+
+    if (!user.verifyTwoFactorCode(code).valid) {
+      return ApiResponse.unauthorized(res, 'Invalid verification code');
+    }
+
+    const backupCodes = user.regenerateBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA backup codes regenerated for user ${req.userId}`);
+
+    return ApiResponse.success(res, { backupCodes }, 'Backup codes regenerated');
+
+  } catch (error) {
+    logger.error('Regenerate backup codes error:', error);
+    return ApiResponse.error(res, 'Error regenerating backup codes');
+  }
+};
+
+/**
+ * @desc    Request a full data export archive
+ * @route   POST /api/v1/settings/export
+ * @access  Private
+ */
+const requestDataExport = async (req, res) => {
+  try {
+    // Only one export in progress at a time
+    const inProgress = await DataExport.findOne({
+      user: req.userId,
+      status: { $in: ['pending', 'processing'] }
     });
-    const blocks = await Block.find({ blocker: req.userId });
+    if (inProgress) {
+      return ApiResponse.conflict(res, 'Your data export is already being prepared');
+    }
 
-    const exportData = {
-      exportedAt: new Date().toISOString(),
-      user: {
-        email: user.email,
-        username: user.username,
-        createdAt: user.createdAt,
-        lastLoginAt: user.lastLoginAt
-      },
-      profile: profile ? {
-        name: profile.name,
-        bio: profile.bio,
-        interests: profile.interests,
-        photos: profile.photos.map(p => p.url),
-        location: profile.location,
-        college: profile.college,
-        workplace: profile.workplace
-      } : null,
-      conversations: conversations.length,
-      messageRequests: requests.length,
-      blockedUsers: blocks.length
-    };
+    // Limit to one export per day
+    const recent = await DataExport.findOne({
+      user: req.userId,
+      status: 'ready',
+      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    });
+    if (recent) {
+      return ApiResponse.tooManyRequests(res, 'You can request one data export per day. Check your email for the latest download link.');
+    }
+
+    const dataExport = await DataExport.create({ user: req.userId });
+
+    // Build in the background - the cron job picks up anything missed here
+    setImmediate(() => {
+      processDataExport(dataExport._id).catch(error => {
+        logger.error('Background data export error:', error);
+      });
+    });
+
+    return ApiResponse.success(res, {
+      exportId: dataExport._id,
+      status: dataExport.status
+    }, 'Your data export is being prepared. We\'ll notify you when it\'s ready.', 202);
+
+  } catch (error) {
+    logger.error('Request data export error:', error);
+    return ApiResponse.error(res, 'Error requesting data export');
+  }
+};
+
+/**
+ * @desc    Get data export requests
+ * @route   GET /api/v1/settings/export
+ * @access  Private
+ */
+const getDataExports = async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.userId })
+      .select('status fileSize createdAt completedAt expiresAt downloadCount')
+      .sort({ createdAt: -1 })
+      .limit(5);
+
+    return ApiResponse.success(res, { exports });
+
+  } catch (error) {
+    logger.error('Get data exports error:', error);
+    return ApiResponse.error(res, 'Error fetching data exports');
+  }
+};
 
-    return ApiResponse.success(res, { data: exportData });
+/**
+ * @desc    Download data export archive
+ * @route   GET /api/v1/settings/export/download/:token
+ * @access  Public (token)
+ */
+const downloadDataExport = async (req, res) => {
+  try {
+    const dataExport = await DataExport.findByDownloadToken(req.params.token);
+
+    if (!dataExport) {
+      return ApiResponse.notFound(res, 'Download link is invalid or has expired');
+    }
+
+    dataExport.downloadCount += 1;
+    await dataExport.save();
+
+    const fileName = `bibbly-data-export-${dataExport.completedAt.toISOString().slice(0, 10)}.json.gz`;
+    return res.download(dataExport.filePath, fileName, (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Data export download error:', error);
+        ApiResponse.notFound(res, 'Export file not found');
+      }
+    });
 
   } catch (error) {
-    logger.error('Export data error:', error);
-    return ApiResponse.error(res, 'Error exporting data');
+    logger.error('Download data export error:', error);
+    return ApiResponse.error(res, 'Error downloading data export');
   }
 };
 
@@ -316,7 +886,7 @@ const exportData = async (req, res) => {
  */
 const deleteAccount = async (req, res) => {
   try {
-    const { password, confirmation } = req.body;
+    const { password, idToken, phoneCode, confirmation } = req.body;
 
     if (confirmation !== 'DELETE') {
       return ApiResponse.badRequest(res, 'Please type DELETE to confirm');
@@ -324,40 +894,39 @@ const deleteAccount = async (req, res) => {
 
     const user = await User.findById(req.userId).select('+password');
 
-    // Verify password if set
-    if (user.password) {
-      const isMatch = await user.comparePassword(password);
-      if (!isMatch) {
-        return ApiResponse.unauthorized(res, 'Password is incorrect');
-      }
+    const authError = await reauthenticate(user, { password, idToken, phoneCode });
+    if (authError) {
+      return ApiResponse.unauthorized(res, authError);
     }
 
-    // Delete profile photos from Cloudinary
     const profile = await Profile.findOne({ user: req.userId });
-    if (profile?.photos) {
-      for (const photo of profile.photos) {
-        if (photo.publicId) {
-          await deleteImage(photo.publicId);
-        }
-      }
-    }
 
-    // Soft delete - mark as deleted
-    user.accountStatus = 'deleted';
-    user.deletedAt = new Date();
-    user.email = `deleted_${user._id}@deleted.bibbly`;
-    user.refreshTokens = [];
-    await user.save();
+    // Start grace period - data is purged by the cleanup job once it ends
+    user.scheduleDeletion(profile?.visibility);
+    await user.save({ validateBeforeSave: false });
 
+    // Hide profile while deletion is pending
     if (profile) {
-      profile.isBanned = true;
       profile.visibility = 'invisible';
       await profile.save();
     }
 
-    logger.info(`Account deleted: ${req.userId}`);
+    await ActivityLog.log({
+      actor: user._id,
+      actorType: 'user',
+      action: 'user_deleted',
+      entityType: 'user',
+      entityId: user._id,
+      details: { scheduledFor: user.deletion.scheduledFor },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
 
-    return ApiResponse.success(res, null, 'Your account has been deleted');
+    logger.info(`Account scheduled for deletion: ${req.userId}`);
+
+    return ApiResponse.success(res, {
+      scheduledFor: user.deletion.scheduledFor
+    }, 'Your account will be deleted in 30 days. Log in before then to restore it.');
 
   } catch (error) {
     logger.error('Delete account error:', error);
@@ -365,14 +934,70 @@ const deleteAccount = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Restore account during deletion grace period
+ * @route   POST /api/v1/settings/account/restore
+ * @access  Private
+ */
+const restoreAccount = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.accountStatus !== 'pending_deletion') {
+      return ApiResponse.badRequest(res, 'Account is not scheduled for deletion');
+    }
+
+    const previousVisibility = user.cancelDeletion();
+    await user.save({ validateBeforeSave: false });
+
+    const profile = await Profile.findOne({ user: req.userId });
+    if (profile) {
+      profile.visibility = previousVisibility || 'discoverable';
+      await profile.save();
+    }
+
+    await ActivityLog.log({
+      actor: user._id,
+      actorType: 'user',
+      action: 'user_restored',
+      entityType: 'user',
+      entityId: user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Account restored: ${req.userId}`);
+
+    return ApiResponse.success(res, null, 'Welcome back! Your account has been restored');
+
+  } catch (error) {
+    logger.error('Restore account error:', error);
+    return ApiResponse.error(res, 'Error restoring account');
+  }
+};
+
 module.exports = {
   getSettings,
   updatePrivacySettings,
   updateNotificationSettings,
   changePassword,
+  getIdentities,
+  linkGoogle,
+  unlinkGoogle,
+  setPassword,
+  linkPhone,
+  verifyPhone,
+  unlinkPhone,
   updateEmail,
   changeUsername,
-  exportData,
-  deleteAccount
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  deleteAccount,
+  restoreAccount
 };
 
@@ -7,7 +7,8 @@ const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Block = require('../models/Block');
 const ApiResponse = require('../utils/apiResponse');
-const { getBlurredImageUrl } = require('../config/cloudinary');
+const { getBlurredImageUrl } = require('../config/storage');
+const { buildUsernameRedirect, getVisiblePhotos } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 /**
@@ -46,7 +47,7 @@ const getUserById = async (req, res) => {
       },
       profile: profile ? {
         ...profile.toObject(),
-        photos: profile.photos.map(p => ({
+        photos: getVisiblePhotos(profile.photos).map(p => ({
           ...p,
           blurredUrl: getBlurredImageUrl(p.url)
         }))
@@ -68,10 +69,7 @@ const getUserByUsername = async (req, res) => {
   try {
     const { username } = req.params;
 
-    const user = await User.findOne({
-      username: username.toLowerCase(),
-      accountStatus: 'active'
-    }).select('username');
+    const { user, previousUsername } = await User.findActiveByUsername(username);
 
     if (!user) {
       return ApiResponse.notFound(res, 'User not found');
@@ -101,7 +99,8 @@ const getUserByUsername = async (req, res) => {
 
     return ApiResponse.success(res, {
       username: user.username,
-      profile: profile.getPublicProfile(true) // Always blur for public view
+      profile: profile.getPublicProfile(true), // Always blur for public view
+      ...(previousUsername && { redirect: buildUsernameRedirect(previousUsername, user.username) })
     });
 
   } catch (error) {
@@ -143,11 +142,11 @@ const checkUsernameAvailability = async (req, res) => {
       });
     }
 
-    const existing = await User.findOne({ username: username.toLowerCase() });
+    const available = await User.isUsernameAvailable(username, req.userId);
 
     return ApiResponse.success(res, {
-      available: !existing,
-      reason: existing ? 'Username is already taken' : null
+      available,
+      reason: available ? null : 'Username is already taken'
     });
 
   } catch (error) {
@@ -3,13 +3,136 @@
  * Scheduled tasks for maintenance and cleanup
  */
 
+const fs = require('fs');
 const cron = require('node-cron');
 const MessageRequest = require('../models/MessageRequest');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const PurchasedPack = require('../models/PurchasedPack');
+const Profile = require('../models/Profile');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const ProfileView = require('../models/ProfileView');
+const Skip = require('../models/Skip');
+const Block = require('../models/Block');
+const Report = require('../models/Report');
+const ActivityLog = require('../models/ActivityLog');
+const DataExport = require('../models/DataExport');
+const UsernameHistory = require('../models/UsernameHistory');
+const AffiliationVerification = require('../models/AffiliationVerification');
+const VerifiedAffiliationEmail = require('../models/VerifiedAffiliationEmail');
+const VerificationRequest = require('../models/VerificationRequest');
+const FeedSession = require('../models/FeedSession');
+const DiscoveryCandidate = require('../models/DiscoveryCandidate');
+const { processPendingExports, cleanupExpiredExports } = require('./dataExport');
+const { refreshDiscoveryCandidates } = require('./discoveryCandidates');
+const { deleteImage } = require('../config/storage');
 const logger = require('../utils/logger');
 
+/**
+ * Permanently remove a user's data after the deletion grace period.
+ * The user document is kept as an anonymized tombstone so reports still resolve.
+ */
+const purgeAccount = async (user) => {
+  const userId = user._id;
+
+  // Profile and its photos
+  const profile = await Profile.findOne({ user: userId });
+  for (const photo of profile?.photos || []) {
+    if (photo.publicId) {
+      await deleteImage(photo.publicId).catch(() => {});
+    }
+  }
+  if (profile) {
+    await Profile.deleteOne({ _id: profile._id });
+  }
+
+  // Verification selfies
+  const verificationRequests = await VerificationRequest.find({
+    user: userId,
+    'selfie.publicId': { $exists: true }
+  }).select('selfie.publicId');
+  for (const request of verificationRequests) {
+    await deleteImage(request.selfie.publicId, { visibility: 'private' }).catch(() => {});
+  }
+  await VerificationRequest.deleteMany({ user: userId });
+
+  // Conversations and every message in them (including image messages)
+  const conversations = await Conversation.find({ 'participants.user': userId }).select('_id');
+  const conversationIds = conversations.map(c => c._id);
+  const mediaMessages = await Message.find({
+    conversation: { $in: conversationIds },
+    'media.publicId': { $exists: true }
+  }).select('media.publicId');
+  for (const message of mediaMessages) {
+    await deleteImage(message.media.publicId).catch(() => {});
+  }
+  await Message.deleteMany({ conversation: { $in: conversationIds } });
+  await Conversation.deleteMany({ _id: { $in: conversationIds } });
+
+  await Promise.all([
+    MessageRequest.deleteMany({ $or: [{ sender: userId }, { recipient: userId }] }),
+    ProfileView.deleteMany({ $or: [{ viewer: userId }, { profileOwner: userId }] }),
+    Notification.deleteMany({ $or: [{ user: userId }, { relatedUser: userId }] }),
+    Skip.deleteMany({ $or: [{ user: userId }, { skippedUser: userId }] }),
+    Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+    // Names still held for the user stay reserved so nobody can take them over
+    UsernameHistory.deleteMany({ user: userId, reservedUntil: { $lte: new Date() } }),
+    AffiliationVerification.deleteMany({ user: userId }),
+    VerifiedAffiliationEmail.deleteMany({ user: userId }),
+    FeedSession.deleteMany({ user: userId }),
+    DiscoveryCandidate.deleteMany({ user: userId }),
+    DiscoveryCandidate.updateMany({ 'candidates.user': userId }, { $pull: { candidates: { user: userId } } })
+  ]);
+
+  // Data export archives
+  const dataExports = await DataExport.find({ user: userId, filePath: { $exists: true } }).select('filePath');
+  for (const dataExport of dataExports) {
+    await fs.promises.unlink(dataExport.filePath).catch(() => {});
+  }
+  await DataExport.deleteMany({ user: userId });
+
+  // Keep reports for trust & safety, minus the content they captured
+  await Report.updateMany(
+    { $or: [{ reporter: userId }, { reportedUser: userId }] },
+    {
+      $unset: { 'reportedContent.contentSnapshot': 1 },
+      $set: { evidence: [], anonymizedAt: new Date() }
+    }
+  );
+
+  // Hold the released username for the usual cooldown, like a username change
+  if (user.username && !user.username.startsWith('deleted_')) {
+    await UsernameHistory.recordChange(userId, user.username);
+  }
+
+  // Anonymize the account itself
+  const suffix = userId.toString().slice(-12);
+  user.email = `deleted_${userId}@deleted.bibbly`;
+  user.username = `deleted_${suffix}`;
+  user.password = undefined;
+  user.googleId = undefined;
+  user.phone = undefined;
+  user.phoneVerifiedAt = undefined;
+  user.oneSignalPlayerId = undefined;
+  user.refreshTokens = [];
+  user.knownDevices = [];
+  user.twoFactor = { enabled: false };
+  user.deletion = undefined;
+  user.accountStatus = 'deleted';
+  user.deletedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await ActivityLog.log({
+    actor: userId,
+    actorType: 'system',
+    action: 'user_deleted',
+    entityType: 'user',
+    entityId: userId,
+    details: { purged: true }
+  });
+};
+
 /**
  * Initialize all cron jobs
  */
@@ -132,6 +255,68 @@ const initializeCronJobs = () => {
     }
   });
 
+  // Purge accounts past their deletion grace period - daily at 4am
+  cron.schedule('0 4 * * *', async () => {
+    try {
+      const users = await User.find({
+        accountStatus: 'pending_deletion',
+        'deletion.scheduledFor': { $lte: new Date() }
+      });
+
+      let purged = 0;
+      for (const user of users) {
+        try {
+          await purgeAccount(user);
+          purged++;
+        } catch (error) {
+          logger.error(`Account purge error for ${user._id}:`, error);
+        }
+      }
+
+      if (purged > 0) {
+        logger.info(`Purged ${purged} deleted accounts`);
+      }
+    } catch (error) {
+      logger.error('Account purge job error:', error);
+    }
+  });
+
+  // Build pending data exports - every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const processed = await processPendingExports();
+      if (processed > 0) {
+        logger.info(`Processed ${processed} pending data exports`);
+      }
+    } catch (error) {
+      logger.error('Data export job error:', error);
+    }
+  });
+
+  // Remove expired data export archives - every hour
+  cron.schedule('15 * * * *', async () => {
+    try {
+      const removed = await cleanupExpiredExports();
+      if (removed > 0) {
+        logger.info(`Removed ${removed} expired data exports`);
+      }
+    } catch (error) {
+      logger.error('Data export cleanup job error:', error);
+    }
+  });
+
+  // Precompute discovery candidates for active users - every 20 minutes
+  cron.schedule('*/20 * * * *', async () => {
+    try {
+      const refreshed = await refreshDiscoveryCandidates();
+      if (refreshed > 0) {
+        logger.info(`Refreshed discovery candidates for ${refreshed} users`);
+      }
+    } catch (error) {
+      logger.error('Discovery candidates job error:', error);
+    }
+  });
+
   // Update user activity status - every 5 minutes
   cron.schedule('*/5 * * * *', async () => {
     try {
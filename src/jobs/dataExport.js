@@ -0,0 +1,225 @@
+/**
+ * Data Export Job
+ * Builds user data (GDPR) export archives in the background
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Message = require('../models/Message');
+const MessageRequest = require('../models/MessageRequest');
+const Block = require('../models/Block');
+const Report = require('../models/Report');
+const Notification = require('../models/Notification');
+const ProfileView = require('../models/ProfileView');
+const PurchasedPack = require('../models/PurchasedPack');
+const DataExport = require('../models/DataExport');
+const UsernameHistory = require('../models/UsernameHistory');
+const { sendDataExportEmail } = require('../utils/email');
+const logger = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '../../exports');
+// Builds still 'processing' after this were interrupted (crash or restart) and are retried
+const PROCESSING_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
+
+// Exports waiting to be built, including interrupted ones
+const claimableFilter = () => ({
+  $or: [
+    { status: 'pending' },
+    { status: 'processing', startedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+  ]
+});
+
+/**
+ * Collect everything we hold about a user
+ */
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).lean();
+
+  const [
+    profile,
+    messages,
+    requests,
+    blocks,
+    reports,
+    notifications,
+    viewsMade,
+    viewsReceived,
+    purchases,
+    usernameHistory
+  ] = await Promise.all([
+    Profile.findOne({ user: userId }).lean(),
+    Message.find({ sender: userId })
+      .select('conversation recipient content type media.url isDeleted isEdited createdAt')
+      .sort({ createdAt: 1 })
+      .lean(),
+    MessageRequest.find({ $or: [{ sender: userId }, { recipient: userId }] })
+      .select('sender recipient initialMessage status isAnonymous source createdAt acceptedAt rejectedAt cancelledAt')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Block.find({ blocker: userId })
+      .select('blocked reason additionalNotes source createdAt')
+      .lean(),
+    Report.find({ reporter: userId })
+      .select('reportedUser reportedContent.type reason description status createdAt')
+      .lean(),
+    Notification.find({ user: userId })
+      .select('type title message isRead createdAt')
+      .sort({ createdAt: 1 })
+      .lean(),
+    ProfileView.find({ viewer: userId })
+      .select('profileOwner source isAnonymous createdAt')
+      .lean(),
+    ProfileView.find({ profileOwner: userId })
+      .select('viewer source isAnonymous createdAt')
+      .lean(),
+    PurchasedPack.find({ user: userId })
+      .select('packId packName requestCount requestsUsed requestsRemaining pricePaid paymentMethod status createdAt')
+      .lean(),
+    UsernameHistory.find({ user: userId })
+      .select('username changedAt')
+      .sort({ changedAt: 1 })
+      .lean()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account: {
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      emailVerifiedAt: user.emailVerifiedAt,
+      phone: user.phone,
+      phoneVerifiedAt: user.phoneVerifiedAt,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      notificationPreferences: user.notificationPreferences,
+      createdAt: user.createdAt,
+      lastLoginAt: user.lastLoginAt,
+      loginCount: user.loginCount,
+      previousUsernames: usernameHistory
+    },
+    profile,
+    messagesSent: messages,
+    messageRequests: requests,
+    blocks,
+    reportsFiled: reports,
+    notifications,
+    profileViews: {
+      made: viewsMade,
+      // Don't reveal who viewed anonymously
+      received: viewsReceived.map(({ viewer, ...view }) => (
+        view.isAnonymous ? view : { viewer, ...view }
+      ))
+    },
+    purchases,
+    loginDevices: {
+      known: (user.knownDevices || []).map(({ secureToken, secureTokenExpires, ...device }) => device),
+      activeSessions: (user.refreshTokens || []).map(session => ({
+        deviceId: session.deviceId,
+        platform: session.platform,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        appVersion: session.appVersion,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt
+      }))
+    }
+  };
+};
+
+/**
+ * Tell the user their archive can be downloaded (in-app + email)
+ */
+const notifyExportReady = async (dataExport, token) => {
+  try {
+    const apiUrl = process.env.API_URL || process.env.APP_URL;
+    const apiVersion = process.env.API_VERSION || 'v1';
+    const downloadUrl = `${apiUrl}/api/${apiVersion}/settings/export/download/${token}`;
+
+    await Notification.createNotification(
+      dataExport.user,
+      'data_export_ready',
+      'Your data export is ready 📦',
+      'Your bibbly data archive is ready to download. The link expires in 72 hours.',
+      // The token only goes out by email - the app shows the export in settings
+      { targetType: 'settings', actionUrl: '/settings/export' }
+    );
+
+    const user = await User.findById(dataExport.user).select('email username');
+    await sendDataExportEmail(user.email, user.username, downloadUrl, dataExport.expiresAt);
+  } catch (error) {
+    logger.error(`Data export notification error for user ${dataExport.user}:`, error);
+  }
+};
+
+/**
+ * Build the archive for one export request
+ */
+const processDataExport = async (exportId) => {
+  // Claim the export so concurrent runs don't build it twice
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, ...claimableFilter() },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+
+  if (!dataExport) return;
+
+  try {
+    const data = await collectUserData(dataExport.user);
+    const archive = await gzip(JSON.stringify(data, null, 2));
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const filePath = path.join(EXPORT_DIR, `${dataExport._id}.json.gz`);
+    await fs.promises.writeFile(filePath, archive);
+
+    const token = dataExport.markReady(filePath, archive.length);
+    await dataExport.save();
+
+    await notifyExportReady(dataExport, token);
+
+    logger.info(`Data export ready for user ${dataExport.user}`);
+  } catch (error) {
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save();
+    logger.error(`Data export failed for user ${dataExport.user}:`, error);
+  }
+};
+
+/**
+ * Build any exports still waiting or interrupted (e.g. by a restart)
+ */
+const processPendingExports = async () => {
+  const pending = await DataExport.find(claimableFilter()).sort({ createdAt: 1 }).limit(10);
+  for (const dataExport of pending) {
+    await processDataExport(dataExport._id);
+  }
+  return pending.length;
+};
+
+/**
+ * Delete archives whose download window has passed
+ */
+const cleanupExpiredExports = async () => {
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+  for (const dataExport of expired) {
+    await fs.promises.unlink(dataExport.filePath).catch(() => {});
+    dataExport.status = 'expired';
+    dataExport.filePath = undefined;
+    dataExport.downloadToken = undefined;
+    await dataExport.save();
+  }
+  return expired.length;
+};
+
+module.exports = {
+  processDataExport,
+  processPendingExports,
+  cleanupExpiredExports
+};
@@ -0,0 +1,93 @@
+/**
+ * Discovery Candidates Job
+ * Precomputes each active user's ranked discovery candidates (see utils/discoveryCandidates)
+ */
+
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const AppConfig = require('../models/AppConfig');
+const FeedSession = require('../models/FeedSession');
+const DiscoveryCandidate = require('../models/DiscoveryCandidate');
+const {
+  getOrigin,
+  createViewerRanker,
+  getExcludedIds,
+  buildBaseQuery,
+  gatherSmartCandidates
+} = require('../utils/discoveryCandidates');
+const logger = require('../utils/logger');
+
+// Users active within this window get precomputed candidates
+const ACTIVE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Lists younger than this are left alone
+const REFRESH_AFTER_MS = 60 * 60 * 1000; // 1 hour
+
+let isRunning = false;
+
+/**
+ * Rebuild one user's candidate list
+ * Returns false when the user has no complete profile
+ */
+const precomputeCandidates = async (userId, appConfig) => {
+  const myProfile = await Profile.findOne({ user: userId, isComplete: true });
+  if (!myProfile) return false;
+
+  const startedAt = new Date();
+  const origin = getOrigin(myProfile);
+  const excludedIds = await getExcludedIds(userId);
+
+  const ranked = await gatherSmartCandidates(myProfile, {
+    baseQuery: buildBaseQuery(excludedIds, myProfile),
+    origin,
+    appConfig,
+    rankProfile: createViewerRanker(myProfile, origin, appConfig),
+    size: FeedSession.MAX_CANDIDATES
+  });
+
+  await DiscoveryCandidate.store(userId, ranked, startedAt);
+  return true;
+};
+
+/**
+ * Rebuild missing, stale and outdated lists for active users
+ * Returns the number of lists rebuilt
+ */
+const refreshDiscoveryCandidates = async () => {
+  // A run can outlast the schedule interval on large user bases
+  if (isRunning) return 0;
+  isRunning = true;
+
+  try {
+    const appConfig = await AppConfig.getConfig();
+    const upToDateUserIds = await DiscoveryCandidate.find({
+      isStale: false,
+      computedAt: { $gt: new Date(Date.now() - REFRESH_AFTER_MS) }
+    }).distinct('user');
+
+    const users = User.find({
+      _id: { $nin: upToDateUserIds },
+      accountStatus: 'active',
+      lastActiveAt: { $gte: new Date(Date.now() - ACTIVE_WINDOW_MS) }
+    }).select('_id').cursor();
+
+    let refreshed = 0;
+    for await (const user of users) {
+      try {
+        if (await precomputeCandidates(user._id, appConfig)) {
+          refreshed++;
+        }
+      } catch (error) {
+        logger.error(`Discovery candidates error for ${user._id}:`, error);
+      }
+    }
+
+    return refreshed;
+  } finally {
+    isRunning = false;
+  }
+};
+
+module.exports = {
+  precomputeCandidates,
+  refreshDiscoveryCandidates
+};
@@ -2,9 +2,16 @@
  * Authentication Middleware
  */
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const ApiResponse = require('../utils/apiResponse');
+const { verifyAccessToken } = require('../utils/jwtKeys');
+
+// Routes still reachable while an account is pending deletion (relative to /api/:version)
+const PENDING_DELETION_ROUTES = [
+  '/auth/me',
+  '/auth/logout',
+  '/settings/account/restore'
+];
 
 /**
  * Protect routes - require authentication
@@ -24,7 +31,12 @@ const protect = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
+
+      // Only access tokens can authenticate requests (not 2FA challenge tokens)
+      if (decoded.type) {
+        return ApiResponse.unauthorized(res, 'Invalid token');
+      }
 
       // Get user from token
       const user = await User.findById(decoded.id).select('-password');
@@ -42,9 +54,22 @@ const protect = async (req, res, next) => {
         return ApiResponse.unauthorized(res, 'This account has been deleted');
       }
 
+      if (user.accountStatus === 'pending_deletion') {
+        const routePath = `${req.baseUrl.replace(/^\/api\/[^/]+/, '')}${req.path}`;
+        if (!PENDING_DELETION_ROUTES.includes(routePath)) {
+          return ApiResponse.forbidden(res, 'Your account is scheduled for deletion. Restore it to continue');
+        }
+      }
+
+      // Reject access tokens whose session has been revoked
+      if (decoded.sid && !user.findSession(decoded.sid)) {
+        return ApiResponse.unauthorized(res, 'Session has been revoked. Please login again');
+      }
+
       // Attach user to request
       req.user = user;
       req.userId = user._id;
+      req.sessionId = decoded.sid;
 
       // Update last active
       user.lastActiveAt = new Date();
@@ -79,8 +104,8 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const decoded = await verifyAccessToken(token);
+        const user = decoded.type ? null : await User.findById(decoded.id).select('-password');
         
         if (user && user.accountStatus === 'active') {
           req.user = user;
@@ -99,12 +124,34 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Require verified email (deprecated - email verification removed)
- * Kept for backwards compatibility but always allows access
+ * Require verified email (or phone, when the policy accepts it) for an action,
+ * when the AppConfig policy demands it
+ * Scope is 'requests' or 'discovery'
  */
-const requireVerified = (req, res, next) => {
-  // Email verification removed - all users are active
-  next();
+const requireVerified = (scope) => async (req, res, next) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return next();
+    }
+
+    const AppConfig = require('../models/AppConfig');
+    const config = await AppConfig.getConfig();
+    const acceptPhone = config.emailVerification?.acceptVerifiedPhone ?? true;
+
+    if (acceptPhone && req.user.phoneVerifiedAt) {
+      return next();
+    }
+
+    if (config.requiresEmailVerification(scope)) {
+      return ApiResponse.forbidden(res, acceptPhone
+        ? 'Please verify your email address or phone number to continue'
+        : 'Please verify your email address to continue');
+    }
+
+    next();
+  } catch (error) {
+    return ApiResponse.error(res, 'Error checking verification status');
+  }
 };
 
 /**
@@ -137,12 +184,15 @@ const requirePremium = (req, res, next) => {
 };
 
 /**
- * Require admin role
+ * Require admin role (admins must have 2FA enabled)
  */
 const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
     return ApiResponse.forbidden(res, 'Admin access required');
   }
+  if (!req.user.twoFactor?.enabled) {
+    return ApiResponse.forbidden(res, 'Two-factor authentication must be enabled for admin access. Set it up in settings.');
+  }
   next();
 };
 
@@ -55,6 +55,66 @@ const validateLogin = [
   handleValidation
 ];
 
+const validateSetPassword = [
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  handleValidation
+];
+
+const validateMagicLink = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  handleValidation
+];
+
+const validatePhoneOtp = [
+  body('phone')
+    .trim()
+    .notEmpty()
+    .withMessage('Phone number is required'),
+  handleValidation
+];
+
+const validatePhoneVerify = [
+  body('phone')
+    .trim()
+    .notEmpty()
+    .withMessage('Phone number is required'),
+  body('code')
+    .trim()
+    .matches(/^\d{4,8}$/)
+    .withMessage('Please provide the verification code'),
+  body('username')
+    .optional({ nullable: true, checkFalsy: true }) // Only needed when the number isn't registered yet
+    .trim()
+    .isLength({ min: 6, max: 30 })
+    .withMessage('Username must be between 6 and 30 characters')
+    .matches(/^[a-z0-9_]+$/)
+    .withMessage('Username can only contain lowercase letters, numbers, and underscores'),
+  handleValidation
+];
+
+const validateAffiliationEmail = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidation
+];
+
+const validateAffiliationCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{4,8}$/)
+    .withMessage('Please provide the verification code'),
+  handleValidation
+];
+
 const validateGoogleAuth = [
   body('idToken')
     .notEmpty()
@@ -63,6 +123,48 @@ const validateGoogleAuth = [
 ];
 
 // Profile validators
+// Match preferences (interestedIn is the older bare list of genders)
+const PREFERENCE_GENDERS = ['male', 'female', 'non-binary', 'everyone'];
+const RELATIONSHIP_INTENTS = ['casual', 'serious', 'friendship', 'networking', 'not_sure'];
+
+const preferenceRules = [
+  body('interestedIn')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Please select who you are interested in'),
+  body('interestedIn.*')
+    .isIn(PREFERENCE_GENDERS)
+    .withMessage('Invalid gender preference'),
+  body('preferences.genders')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Please select who you are interested in'),
+  body('preferences.genders.*')
+    .isIn(PREFERENCE_GENDERS)
+    .withMessage('Invalid gender preference'),
+  body('preferences.ageMin')
+    .optional({ nullable: true })
+    .isInt({ min: 18, max: 100 })
+    .withMessage('Minimum age must be between 18 and 100'),
+  body('preferences.ageMax')
+    .optional({ nullable: true })
+    .isInt({ min: 18, max: 100 })
+    .withMessage('Maximum age must be between 18 and 100')
+    .custom((value, { req }) => !req.body.preferences.ageMin || value >= req.body.preferences.ageMin)
+    .withMessage('Maximum age cannot be below the minimum age'),
+  body('preferences.intents')
+    .optional()
+    .isArray()
+    .withMessage('Intents must be a list'),
+  body('preferences.intents.*')
+    .isIn(RELATIONSHIP_INTENTS)
+    .withMessage('Invalid relationship intent'),
+  body('preferences.maxDistanceKm')
+    .optional({ nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Maximum distance must be at least 1 km')
+];
+
 const validateProfileSetup = [
   body('name')
     .trim()
@@ -84,7 +186,7 @@ const validateProfileSetup = [
     .isIn(['male', 'female', 'non-binary', 'other', 'prefer_not_to_say'])
     .withMessage('Please select a valid gender'),
   body('relationshipIntent')
-    .isIn(['casual', 'serious', 'friendship', 'networking', 'not_sure'])
+    .isIn(RELATIONSHIP_INTENTS)
     .withMessage('Please select a valid relationship intent'),
   body('bio')
     .optional()
@@ -95,6 +197,7 @@ const validateProfileSetup = [
     .optional()
     .isArray({ min: 1, max: 10 })
     .withMessage('Please provide between 1 and 10 interests'),
+  ...preferenceRules,
   handleValidation
 ];
 
@@ -117,6 +220,11 @@ const validateProfileUpdate = [
     .optional()
     .isIn(['invisible', 'searchable', 'discoverable'])
     .withMessage('Invalid visibility setting'),
+  body('relationshipIntent')
+    .optional()
+    .isIn(RELATIONSHIP_INTENTS)
+    .withMessage('Please select a valid relationship intent'),
+  ...preferenceRules,
   handleValidation
 ];
 
@@ -143,6 +251,15 @@ const validateMessage = [
   handleValidation
 ];
 
+const validateMediaMessage = [
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Caption cannot exceed 2000 characters'),
+  handleValidation
+];
+
 // Search validators
 const validateSearch = [
   query('q')
@@ -158,6 +275,36 @@ const validateSearch = [
     .optional()
     .isInt({ min: 1, max: 50 })
     .withMessage('Limit must be between 1 and 50'),
+  query('maxDistanceKm')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('maxDistanceKm must be at least 1'),
+  query('verifiedOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('verifiedOnly must be true or false'),
+  handleValidation
+];
+
+// Discovery validator
+const validateDiscovery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('maxDistanceKm')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('maxDistanceKm must be at least 1'),
+  query('verifiedOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('verifiedOnly must be true or false'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Invalid cursor'),
   handleValidation
 ];
 
@@ -216,12 +363,20 @@ module.exports = {
   handleValidation,
   validateSignup,
   validateLogin,
+  validateMagicLink,
+  validatePhoneOtp,
+  validatePhoneVerify,
+  validateAffiliationEmail,
+  validateAffiliationCode,
+  validateSetPassword,
   validateGoogleAuth,
   validateProfileSetup,
   validateProfileUpdate,
   validateMessageRequest,
   validateMessage,
+  validateMediaMessage,
   validateSearch,
+  validateDiscovery,
   validateReport,
   validateBlock,
   validateId,
@@ -25,6 +25,8 @@ const activityLogSchema = new mongoose.Schema({
       // User actions
       'user_created', 'user_updated', 'user_suspended', 'user_deleted', 'user_restored',
       'premium_granted', 'premium_revoked',
+      // Security actions
+      'account_locked', 'account_unlocked', 'signing_key_rotated',
       // Report actions
       'report_created', 'report_resolved', 'report_dismissed',
       // Config actions
@@ -32,6 +34,12 @@ const activityLogSchema = new mongoose.Schema({
       'unrevealed_chat_payment_updated',
       // Content actions
       'content_updated', 'announcement_sent',
+      // Organization actions
+      'organization_created', 'organization_updated', 'organization_merged',
+      // Verification actions
+      'verification_approved', 'verification_rejected',
+      // Photo moderation actions
+      'photo_approved', 'photo_rejected',
       // System actions
       'system_error', 'auto_moderation', 'bulk_action'
     ]
@@ -39,7 +47,7 @@ const activityLogSchema = new mongoose.Schema({
   // What entity was affected
   entityType: {
     type: String,
-    enum: ['user', 'report', 'config', 'feedback', 'content', 'system', 'other']
+    enum: ['user', 'report', 'config', 'feedback', 'content', 'organization', 'verification', 'photo', 'system', 'other']
   },
   entityId: mongoose.Schema.Types.ObjectId,
   // Details about the action
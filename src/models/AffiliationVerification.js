@@ -0,0 +1,111 @@
+/**
+ * Affiliation Verification Model
+ * Codes emailed to a college/work address to prove a profile's affiliation
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const CODE_LENGTH = 6;
+
+// Codes are short, so they are keyed to the user, kind and address before hashing
+const hashCode = (userId, kind, email, code) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${userId}:${kind}:${email}:${code}`)
+    .digest('hex');
+};
+
+const affiliationVerificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Which profile affiliation is being verified
+  kind: {
+    type: String,
+    enum: ['college', 'workplace'],
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// One pending code per user and affiliation - a new request replaces the old one
+affiliationVerificationSchema.index({ user: 1, kind: 1 }, { unique: true });
+affiliationVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a new code for an address
+affiliationVerificationSchema.statics.issue = async function(userId, kind, organizationId, email, policy) {
+  const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+
+  await this.findOneAndUpdate(
+    { user: userId, kind },
+    {
+      organization: organizationId,
+      email,
+      codeHash: hashCode(userId, kind, email, code),
+      expiresAt: new Date(Date.now() + policy.codeExpiryMinutes * 60 * 1000),
+      attempts: 0
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return code;
+};
+
+// Static method to check a code, consuming it on success
+// Returns { status: 'valid' | 'invalid' | 'expired', verification }
+affiliationVerificationSchema.statics.consume = async function(userId, kind, code, policy) {
+  // Count the attempt atomically so parallel guesses can't exceed the limit
+  const verification = await this.findOneAndUpdate(
+    {
+      user: userId,
+      kind,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: policy.maxVerifyAttempts }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!verification) {
+    return { status: 'expired' };
+  }
+
+  const expected = Buffer.from(verification.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(userId, kind, verification.email, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return { status: 'invalid' };
+  }
+
+  // Delete so the code can only be used once
+  const deleted = await this.deleteOne({ _id: verification._id, codeHash: verification.codeHash });
+  return deleted.deletedCount === 1
+    ? { status: 'valid', verification }
+    : { status: 'expired' };
+};
+
+module.exports = mongoose.model('AffiliationVerification', affiliationVerificationSchema);
@@ -5,6 +5,17 @@
 
 const mongoose = require('mongoose');
 
+// Flatten a nested update into dotted paths ({ a: { b: 1 } } -> { 'a.b': 1 })
+const toDottedPaths = (value, prefix) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { [prefix]: value };
+  }
+  return Object.entries(value).reduce((paths, [key, child]) => ({
+    ...paths,
+    ...toDottedPaths(child, `${prefix}.${key}`)
+  }), {});
+};
+
 const premiumFeatureSchema = new mongoose.Schema({
   featureId: {
     type: String,
@@ -331,6 +342,16 @@ const appConfigSchema = new mongoose.Schema({
     maxInterests: {
       type: Number,
       default: 10
+    },
+    // Profiles this close count as "nearby" even with a different city name
+    nearbyRadiusKm: {
+      type: Number,
+      default: 25
+    },
+    // Largest maxDistanceKm accepted by discovery and search
+    maxDistanceKm: {
+      type: Number,
+      default: 200
     }
   },
   
@@ -349,6 +370,174 @@ const appConfigSchema = new mongoose.Schema({
     }]
   },
   
+  // ========== EMAIL VERIFICATION ==========
+  emailVerification: {
+    // Block sending message requests until the email is verified
+    requireForRequests: {
+      type: Boolean,
+      default: false
+    },
+    // Block discovery feeds until the email is verified
+    requireForDiscovery: {
+      type: Boolean,
+      default: false
+    },
+    // A verified phone number satisfies the above (phone-only accounts have no email to verify)
+    acceptVerifiedPhone: {
+      type: Boolean,
+      default: true
+    },
+    // Minimum wait between verification email resends
+    resendCooldownSeconds: {
+      type: Number,
+      default: 60
+    }
+  },
+  
+  // ========== LOGIN SECURITY ==========
+  loginSecurity: {
+    // Failed attempts before each further attempt is delayed
+    progressiveDelayAfter: {
+      type: Number,
+      default: 3
+    },
+    // Failed attempts before the account is temporarily locked
+    maxFailedAttempts: {
+      type: Number,
+      default: 10
+    },
+    lockoutMinutes: {
+      type: Number,
+      default: 30
+    },
+    // Failed attempts older than this are forgotten
+    failedAttemptWindowMinutes: {
+      type: Number,
+      default: 60
+    }
+  },
+  
+  // ========== PHONE AUTH ==========
+  phoneAuth: {
+    // Country code assumed for numbers entered without one
+    defaultCountryCode: {
+      type: String,
+      default: '91'
+    },
+    otpLength: {
+      type: Number,
+      default: 6
+    },
+    otpExpiryMinutes: {
+      type: Number,
+      default: 10
+    },
+    // Wrong codes allowed before a new code must be requested
+    maxVerifyAttempts: {
+      type: Number,
+      default: 5
+    },
+    resendCooldownSeconds: {
+      type: Number,
+      default: 60
+    },
+    maxSendsPerHour: {
+      type: Number,
+      default: 5
+    }
+  },
+  
+  // ========== AFFILIATION VERIFICATION ==========
+  affiliationVerification: {
+    codeExpiryMinutes: {
+      type: Number,
+      default: 30
+    },
+    maxVerifyAttempts: {
+      type: Number,
+      default: 5
+    },
+    // How long a verified college/workplace badge lasts before re-verifying
+    validityDays: {
+      type: Number,
+      default: 365
+    },
+    // Show verified colleagues/classmates first in discovery sections
+    rankVerifiedFirst: {
+      type: Boolean,
+      default: true
+    }
+  },
+  
+  // ========== PHOTO MODERATION ==========
+  photoModeration: {
+    // pre: new photos stay hidden until approved
+    // post: new photos are shown immediately and reviewed afterwards
+    mode: {
+      type: String,
+      enum: ['pre', 'post'],
+      default: 'post'
+    }
+  },
+  
+  // ========== DISCOVERY RANKING ==========
+  ranking: {
+    // Points a profile gets for each signal at full strength (0 turns a signal off)
+    weights: {
+      sameWorkplace: {
+        type: Number,
+        default: 50
+      },
+      sameCollege: {
+        type: Number,
+        default: 40
+      },
+      nearby: {
+        type: Number,
+        default: 30
+      },
+      // Scaled by shared interests, full at 5
+      sharedInterests: {
+        type: Number,
+        default: 25
+      },
+      intentMatch: {
+        type: Number,
+        default: 15
+      },
+      // Scaled down over the 14 days since the user was last active
+      recentActivity: {
+        type: Number,
+        default: 15
+      },
+      completeness: {
+        type: Number,
+        default: 10
+      },
+      // Photo badge and verified shared college/workplace
+      verification: {
+        type: Number,
+        default: 20
+      },
+      // The profile's preferences name the viewer's gender/intent (half for "open to anyone")
+      reciprocal: {
+        type: Number,
+        default: 20
+      },
+      // Profiles created in the last 7 days
+      freshness: {
+        type: Number,
+        default: 10
+      }
+    },
+    // Add the per-signal score breakdown to every profile card
+    // (admins can also request it with ?debug=true)
+    debug: {
+      type: Boolean,
+      default: false
+    }
+  },
+  
   // ========== SUPPORT CONTENT ==========
   supportContent: {
     helpFAQ: {
@@ -499,10 +688,15 @@ appConfigSchema.statics.getConfig = async function() {
 
 // Static method to update config
 appConfigSchema.statics.updateConfig = async function(updates, adminId) {
+  // Ranking is set field by field, so updating one weight keeps the others
+  const { ranking, ...rest } = updates;
+  const rankingPaths = ranking ? toDottedPaths(ranking, 'ranking') : {};
+
   const config = await this.findOneAndUpdate(
     { configId: 'main' },
     { 
-      ...updates, 
+      ...rest, 
+      ...rankingPaths,
       lastUpdatedBy: adminId,
       updatedAt: new Date()
     },
@@ -538,6 +732,14 @@ appConfigSchema.methods.getFeatureLimit = function(featureId, isPremiumUser = fa
   return feature.freeLimit;
 };
 
+// Method to check if email verification is required for an action
+appConfigSchema.methods.requiresEmailVerification = function(scope) {
+  const policy = this.emailVerification || {};
+  if (scope === 'requests') return !!policy.requireForRequests;
+  if (scope === 'discovery') return !!policy.requireForDiscovery;
+  return false;
+};
+
 // Method to get daily free request limit
 appConfigSchema.methods.getDailyFreeRequests = function() {
   return this.microPayments?.dailyFreeRequests || 2;
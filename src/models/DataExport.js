@@ -0,0 +1,68 @@
+/**
+ * Data Export Model
+ * Tracks user data export (GDPR) archives built in the background
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Location of the generated archive
+  filePath: String,
+  fileSize: Number,
+  // SHA-256 of the download token sent to the user
+  downloadToken: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ downloadToken: 1 });
+
+// Method to mark archive as ready and generate download token (returns plain token)
+dataExportSchema.methods.markReady = function(filePath, fileSize, ttlHours = 72) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.status = 'ready';
+  this.filePath = filePath;
+  this.fileSize = fileSize;
+  this.downloadToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.completedAt = new Date();
+  this.expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  return token;
+};
+
+// Static method to find a downloadable export by plain token
+dataExportSchema.statics.findByDownloadToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({
+    downloadToken: hashedToken,
+    status: 'ready',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
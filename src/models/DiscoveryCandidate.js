@@ -0,0 +1,102 @@
+/**
+ * Discovery Candidate Model
+ * Ranked discovery candidates precomputed per user by a background job,
+ * so feeds don't rebuild the exclusion list and candidate pools on every call
+ */
+
+const mongoose = require('mongoose');
+
+// Lists older than this are not used (the job refreshes them hourly)
+const MAX_AGE_MS = 3 * 60 * 60 * 1000; // 3 hours
+
+const discoveryCandidateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Ranked best first
+  candidates: [{
+    _id: false,
+    profile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Profile'
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    score: Number
+  }],
+  // When the build started
+  computedAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the user's own matching fields change, so the list is rebuilt before it is used again
+  isStale: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+discoveryCandidateSchema.index({ 'candidates.user': 1 });
+// Lists of users who stopped using the app are dropped after a week
+discoveryCandidateSchema.index({ computedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Static method to get a user's list if it is recent and not stale
+discoveryCandidateSchema.statics.findFresh = async function(userId) {
+  return this.findOne({
+    user: userId,
+    isStale: false,
+    computedAt: { $gt: new Date(Date.now() - MAX_AGE_MS) }
+  });
+};
+
+// Static method to store a user's ranked candidates
+// ranked: [{ profile, score }] with profiles that have user populated or as an id
+// computedAt: when the build started, before its exclusions were loaded
+discoveryCandidateSchema.statics.store = async function(userId, ranked, computedAt) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    {
+      candidates: ranked.map(({ profile, score }) => ({
+        profile: profile._id,
+        user: profile.user?._id || profile.user,
+        score
+      })),
+      computedAt,
+      isStale: false
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to drop a user from another user's list (after a skip, request or block)
+discoveryCandidateSchema.statics.removeCandidate = async function(userId, candidateUserId) {
+  return this.updateOne(
+    { user: userId },
+    { $pull: { candidates: { user: candidateUserId } } }
+  );
+};
+
+// Static method to drop two users from each other's lists
+discoveryCandidateSchema.statics.removeBetween = async function(userA, userB) {
+  return Promise.all([
+    this.removeCandidate(userA, userB),
+    this.removeCandidate(userB, userA)
+  ]);
+};
+
+// Static method to mark a user's list for rebuilding
+discoveryCandidateSchema.statics.invalidate = async function(userId) {
+  return this.updateOne({ user: userId }, { isStale: true });
+};
+
+const DiscoveryCandidate = mongoose.model('DiscoveryCandidate', discoveryCandidateSchema);
+
+module.exports = DiscoveryCandidate;
@@ -0,0 +1,132 @@
+/**
+ * Feed Session Model
+ * Ranked snapshot of a discovery feed, paged through with an opaque cursor
+ * so cards don't repeat or go missing while the underlying profiles change
+ */
+
+const mongoose = require('mongoose');
+
+const SESSION_TTL_MS = 30 * 60 * 1000; // 30 minutes since the last page
+const MAX_CANDIDATES = 200;
+
+const feedSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  feed: {
+    type: String,
+    enum: ['discover', 'smart'],
+    required: true
+  },
+  // Ranked best first
+  candidates: [{
+    _id: false,
+    profile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Profile'
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    score: Number,
+    connectionType: String,
+    // Only kept in ranking debug mode
+    breakdown: mongoose.Schema.Types.Mixed
+  }],
+  // Users skipped or requested since the snapshot was taken
+  // (kept aside rather than pulled from candidates so cursor offsets stay valid)
+  removedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+feedSessionSchema.index({ user: 1, feed: 1 });
+feedSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to snapshot a ranked feed, replacing the user's previous session for it
+// ranked: [{ profile, score, connectionType, breakdown }] with populated profiles
+feedSessionSchema.statics.start = async function(userId, feed, ranked) {
+  await this.deleteMany({ user: userId, feed });
+
+  return this.create({
+    user: userId,
+    feed,
+    candidates: ranked.slice(0, MAX_CANDIDATES).map(({ profile, score, connectionType, breakdown }) => ({
+      profile: profile._id,
+      user: profile.user?._id || profile.user,
+      score,
+      connectionType,
+      breakdown
+    })),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+};
+
+// Static method to encode a cursor pointing at an offset in a session
+feedSessionSchema.statics.encodeCursor = function(sessionId, offset) {
+  return Buffer.from(`${sessionId}.${offset}`).toString('base64url');
+};
+
+// Static method to resume a session from a cursor
+// Returns { session, offset } or null when the cursor is invalid or the session expired
+feedSessionSchema.statics.findByCursor = async function(cursor, userId, feed) {
+  const [sessionId, offset] = Buffer.from(String(cursor), 'base64url').toString().split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !/^\d+$/.test(offset || '')) {
+    return null;
+  }
+
+  // Reading a page keeps the session alive
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, user: userId, feed, expiresAt: { $gt: new Date() } },
+    { expiresAt: new Date(Date.now() + SESSION_TTL_MS) },
+    { new: true }
+  );
+
+  return session ? { session, offset: parseInt(offset) } : null;
+};
+
+// Static method to drop a user from a viewer's active sessions (after a skip or request)
+feedSessionSchema.statics.removeCandidate = async function(userId, candidateUserId) {
+  return this.updateMany(
+    { user: userId, expiresAt: { $gt: new Date() } },
+    { $addToSet: { removedUsers: candidateUserId } }
+  );
+};
+
+// Get up to limit candidates from offset, skipping removed users
+// Returns { entries, nextOffset } (nextOffset is null at the end of the snapshot)
+feedSessionSchema.methods.getPage = function(offset, limit) {
+  const removed = new Set(this.removedUsers.map(id => id.toString()));
+  const entries = [];
+  let index = offset;
+
+  while (index < this.candidates.length && entries.length < limit) {
+    const candidate = this.candidates[index++];
+    if (!removed.has(candidate.user.toString())) {
+      entries.push(candidate);
+    }
+  }
+
+  return {
+    entries,
+    nextOffset: index < this.candidates.length ? index : null
+  };
+};
+
+const FeedSession = mongoose.model('FeedSession', feedSessionSchema);
+
+// Snapshot size, for sizing candidate pools
+FeedSession.MAX_CANDIDATES = MAX_CANDIDATES;
+
+module.exports = FeedSession;
@@ -24,7 +24,11 @@ const notificationSchema = new mongoose.Schema({
       'system',
       'premium_expiring',
       'premium_expired',
-      'welcome'
+      'welcome',
+      'security_alert',
+      'data_export_ready',
+      'verification_result',
+      'photo_rejected'
     ],
     required: true
   },
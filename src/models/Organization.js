@@ -0,0 +1,173 @@
+/**
+ * Organization Model
+ * Canonical colleges and workplaces that profiles link to
+ */
+
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/helpers');
+
+const organizationSchema = new mongoose.Schema({
+  // Canonical display name, e.g. "IIT Bombay"
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [120, 'Organization name cannot exceed 120 characters']
+  },
+  type: {
+    type: String,
+    enum: ['college', 'company'],
+    required: true
+  },
+  // Other names people type, e.g. "IITB", "Indian Institute of Technology Bombay"
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized name + aliases used for matching and autocomplete (unset once merged)
+  searchKeys: {
+    type: [String],
+    default: undefined
+  },
+  city: String,
+  country: String,
+  // Work/college email domains, e.g. "iitb.ac.in"
+  emailDomains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  logoUrl: String,
+  // pending: created from a profile's free text, awaiting admin review
+  // merged: duplicate folded into mergedInto
+  status: {
+    type: String,
+    enum: ['active', 'pending', 'merged'],
+    default: 'pending'
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// A name or alias can only belong to one organization of each type
+organizationSchema.index(
+  { type: 1, searchKeys: 1 },
+  { unique: true, partialFilterExpression: { searchKeys: { $exists: true } } }
+);
+organizationSchema.index({ type: 1, status: 1, name: 1 });
+organizationSchema.index({ emailDomains: 1 });
+
+/**
+ * Normalize a name for matching: "IIT-Bombay " -> "iit bombay"
+ */
+const normalizeName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+// Pre-save middleware to keep search keys in sync with name and aliases
+organizationSchema.pre('save', function(next) {
+  if (this.status === 'merged') {
+    this.searchKeys = undefined;
+  } else if (this.isNew || this.isModified('name') || this.isModified('aliases') || this.isModified('status')) {
+    this.searchKeys = [...new Set([this.name, ...(this.aliases || [])].map(normalizeName).filter(Boolean))];
+  }
+  next();
+});
+
+// Static method to normalize a name the same way search keys are built
+organizationSchema.statics.normalizeName = normalizeName;
+
+// Static method to find an organization by name or alias (exact, normalized)
+organizationSchema.statics.findByName = function(name, type) {
+  return this.findOne({
+    type,
+    searchKeys: normalizeName(name),
+    status: { $ne: 'merged' }
+  });
+};
+
+// Static method to resolve a free-text name to an organization, creating a pending one if unknown
+organizationSchema.statics.resolve = async function(name, type, { city, createdBy } = {}) {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+
+  const existing = await this.findByName(name, type);
+  if (existing) return existing;
+
+  try {
+    return await this.create({ name: name.trim(), type, city, createdBy });
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code === 11000) return this.findByName(name, type);
+    throw error;
+  }
+};
+
+// Static method to follow merges to the surviving organization
+organizationSchema.statics.findCanonicalById = async function(id) {
+  let organization = await this.findById(id);
+  // Merges are flattened, but guard against long chains
+  for (let hops = 0; organization?.status === 'merged' && hops < 5; hops++) {
+    organization = await this.findById(organization.mergedInto);
+  }
+  return organization;
+};
+
+// Static method for autocomplete (prefix match on name and aliases)
+organizationSchema.statics.autocomplete = function(query, type, limit = 10) {
+  const filter = {
+    status: { $ne: 'merged' },
+    searchKeys: { $regex: `^${escapeRegex(normalizeName(query))}` }
+  };
+  if (type) filter.type = type;
+
+  return this.find(filter)
+    .select('name type aliases city country logoUrl status')
+    // Reviewed organizations first ('active' sorts before 'pending')
+    .sort({ status: 1, name: 1 })
+    .limit(limit);
+};
+
+// Static method to get ids of organizations matching a search term
+organizationSchema.statics.findMatchingIds = function(query, type) {
+  const normalized = normalizeName(query);
+  if (!normalized) return Promise.resolve([]);
+
+  return this.find({
+    type,
+    status: { $ne: 'merged' },
+    searchKeys: { $regex: escapeRegex(normalized) }
+  }).distinct('_id');
+};
+
+// Static method to build a profile filter from an organization id or a search term
+organizationSchema.statics.buildProfileFilter = async function(value, type) {
+  if (/^[a-f\d]{24}$/i.test(value)) {
+    const organization = await this.findCanonicalById(value);
+    return organization ? organization._id : value;
+  }
+  return { $in: await this.findMatchingIds(value, type) };
+};
+
+// Method to check if an email address is on one of the organization's domains (subdomains included)
+organizationSchema.methods.ownsEmailDomain = function(email) {
+  const domain = String(email || '').split('@').pop().trim().toLowerCase();
+  return !!domain && (this.emailDomains || []).some(d => domain === d || domain.endsWith(`.${d}`));
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
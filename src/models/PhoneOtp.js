@@ -0,0 +1,125 @@
+/**
+ * Phone OTP Model
+ * One-time codes sent by SMS for phone sign-up, login and verification
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SEND_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// Codes are short, so they are keyed to the phone and purpose before hashing
+const hashCode = (phone, purpose, code) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${phone}:${purpose}:${code}`)
+    .digest('hex');
+};
+
+const phoneOtpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  // login: sign-up or login, link: adding a number to an existing account
+  purpose: {
+    type: String,
+    enum: ['login', 'link'],
+    required: true
+  },
+  // Account that requested a link code
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  codeHash: String,
+  expiresAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Resend throttling
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: Date,
+  lastSentAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+phoneOtpSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+// Kept for an hour after the last send so the hourly limit survives code expiry
+phoneOtpSchema.index({ lastSentAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+// Static method to issue a new code, respecting resend limits
+// Returns { code } or { retryAfter } (seconds) when throttled
+phoneOtpSchema.statics.issue = async function(phone, purpose, policy, userId = null) {
+  const now = Date.now();
+  let otp = await this.findOne({ phone, purpose });
+
+  if (otp) {
+    const cooldownMs = policy.resendCooldownSeconds * 1000;
+    if (otp.lastSentAt && now - otp.lastSentAt.getTime() < cooldownMs) {
+      return { retryAfter: Math.ceil((otp.lastSentAt.getTime() + cooldownMs - now) / 1000) };
+    }
+
+    if (!otp.windowStartedAt || now - otp.windowStartedAt.getTime() >= SEND_WINDOW_MS) {
+      otp.windowStartedAt = new Date(now);
+      otp.sendCount = 0;
+    } else if (otp.sendCount >= policy.maxSendsPerHour) {
+      return { retryAfter: Math.ceil((otp.windowStartedAt.getTime() + SEND_WINDOW_MS - now) / 1000) };
+    }
+  } else {
+    otp = new this({ phone, purpose, windowStartedAt: new Date(now) });
+  }
+
+  const code = crypto.randomInt(0, 10 ** policy.otpLength).toString().padStart(policy.otpLength, '0');
+
+  otp.user = userId || undefined;
+  otp.codeHash = hashCode(phone, purpose, code);
+  otp.expiresAt = new Date(now + policy.otpExpiryMinutes * 60 * 1000);
+  otp.attempts = 0;
+  otp.sendCount += 1;
+  otp.lastSentAt = new Date(now);
+  await otp.save();
+
+  return { code };
+};
+
+// Static method to check a code, consuming it on success
+// Returns 'valid', 'invalid' or 'expired' (also used once attempts run out)
+phoneOtpSchema.statics.consume = async function(phone, purpose, code, policy, userId = null) {
+  const query = {
+    phone,
+    purpose,
+    codeHash: { $exists: true },
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: policy.maxVerifyAttempts }
+  };
+  if (userId) {
+    query.user = userId;
+  }
+
+  // Count the attempt atomically so parallel guesses can't exceed the limit
+  const otp = await this.findOneAndUpdate(query, { $inc: { attempts: 1 } }, { new: true });
+  if (!otp) {
+    return 'expired';
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(phone, purpose, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return 'invalid';
+  }
+
+  // Clear the code (keeping the send history) so it can only be used once
+  const cleared = await this.updateOne(
+    { _id: otp._id, codeHash: otp.codeHash },
+    { $unset: { codeHash: 1, expiresAt: 1, user: 1 } }
+  );
+  return cleared.modifiedCount === 1 ? 'valid' : 'expired';
+};
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
@@ -4,6 +4,20 @@
  */
 
 const mongoose = require('mongoose');
+const {
+  toPublicLocation,
+  hasCoordinates,
+  snapCoordinates,
+  escapeRegex,
+  getVisiblePhotos
+} = require('../utils/helpers');
+const { getBlurredImageUrl } = require('../config/storage');
+const DiscoveryCandidate = require('./DiscoveryCandidate');
+
+const RELATIONSHIP_INTENTS = ['casual', 'serious', 'friendship', 'networking', 'not_sure'];
+
+// Fields that decide which profiles this user is shown
+const MATCHING_FIELDS = ['gender', 'age', 'preferences', 'location', 'college', 'workplace', 'relationshipIntent'];
 
 const photoSchema = new mongoose.Schema({
   url: {
@@ -11,6 +25,9 @@ const photoSchema = new mongoose.Schema({
     required: true
   },
   publicId: String,
+  // Dimensions after server-side processing
+  width: Number,
+  height: Number,
   order: {
     type: Number,
     default: 0
@@ -22,6 +39,23 @@ const photoSchema = new mongoose.Schema({
   uploadedAt: {
     type: Date,
     default: Date.now
+  },
+  // Only approved photos are shown to other users
+  // (photos from before moderation have no status and count as approved)
+  moderationStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  // In the admin review queue (set for every upload, in both moderation modes)
+  awaitingReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, { _id: true });
 
@@ -69,15 +103,37 @@ const profileSchema = new mongoose.Schema({
     enum: ['male', 'female', 'non-binary', 'other', 'prefer_not_to_say'],
     required: [true, 'Gender is required']
   },
-  interestedIn: [{
-    type: String,
-    enum: ['male', 'female', 'non-binary', 'everyone']
-  }],
   relationshipIntent: {
     type: String,
-    enum: ['casual', 'serious', 'friendship', 'networking', 'not_sure'],
+    enum: RELATIONSHIP_INTENTS,
     required: true
   },
+  // Who the user wants to see - matching is two-sided, so this is also who can see them
+  preferences: {
+    genders: [{
+      type: String,
+      enum: ['male', 'female', 'non-binary', 'everyone']
+    }],
+    ageMin: {
+      type: Number,
+      min: 18,
+      max: 100
+    },
+    ageMax: {
+      type: Number,
+      min: 18,
+      max: 100
+    },
+    // Empty means any intent
+    intents: [{
+      type: String,
+      enum: RELATIONSHIP_INTENTS
+    }],
+    maxDistanceKm: {
+      type: Number,
+      min: 1
+    }
+  },
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters'],
@@ -133,13 +189,29 @@ const profileSchema = new mongoose.Schema({
       }
     }
   },
+  // name/company mirror the linked organization's canonical name for display
+  // verifiedUntil is set by confirming a code sent to an address on the organization's domain
   college: {
     name: String,
-    graduationYear: Number
+    graduationYear: Number,
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+    verifiedAt: Date,
+    verifiedUntil: Date,
+    verifiedDomain: String
   },
   workplace: {
     company: String,
-    position: String
+    position: String,
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+    verifiedAt: Date,
+    verifiedUntil: Date,
+    verifiedDomain: String
   },
   
   // Social handles (optional, for reveal)
@@ -168,6 +240,12 @@ const profileSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // How precisely others can tell where you are (stored coordinates are snapped to match)
+  locationPrecision: {
+    type: String,
+    enum: ['exact', 'neighborhood', 'city'],
+    default: 'neighborhood'
+  },
   // Message Preferences - who can send messages
   messagePreferences: {
     allowFrom: {
@@ -187,6 +265,11 @@ const profileSchema = new mongoose.Schema({
     sameLocation: {
       type: Boolean,
       default: false
+    },
+    // sameCollege/sameWorkplace only count when the sender's affiliation is verified
+    requireVerified: {
+      type: Boolean,
+      default: false
     }
   },
   
@@ -250,9 +333,12 @@ profileSchema.index({ visibility: 1, showInFeed: 1 });
 profileSchema.index({ 'location.city': 1, 'location.country': 1 });
 profileSchema.index({ 'college.name': 1 });
 profileSchema.index({ 'workplace.company': 1 });
+profileSchema.index({ 'college.organization': 1 });
+profileSchema.index({ 'workplace.organization': 1 });
+profileSchema.index({ 'photos.awaitingReview': 1 });
 profileSchema.index({ interests: 1 });
 profileSchema.index({ age: 1 });
-profileSchema.index({ gender: 1, interestedIn: 1 });
+profileSchema.index({ gender: 1, 'preferences.genders': 1 });
 
 // Pre-save middleware to calculate age
 profileSchema.pre('save', function(next) {
@@ -271,6 +357,17 @@ profileSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to coarsen stored coordinates to the chosen precision
+profileSchema.pre('save', function(next) {
+  if ((this.isModified('location') || this.isModified('locationPrecision')) && hasCoordinates(this.location)) {
+    this.location.coordinates.coordinates = snapCoordinates(
+      this.location.coordinates.coordinates,
+      this.locationPrecision
+    );
+  }
+  next();
+});
+
 // Pre-save middleware to check profile completion
 profileSchema.pre('save', function(next) {
   const logger = require('../utils/logger');
@@ -278,12 +375,14 @@ profileSchema.pre('save', function(next) {
   // Profile is complete if all required fields are filled
   const hasName = !!this.name;
   const hasBio = this.bio && this.bio.trim().length >= 50;
-  const hasPhotos = this.photos && this.photos.length >= 1;
+  // Pending or rejected photos aren't shown, so they don't count
+  const visiblePhotos = getVisiblePhotos(this.photos);
+  const hasPhotos = visiblePhotos.length >= 1;
   const hasInterests = this.interests && this.interests.length >= 3;
   const hasWhyOnApp = !!this.whyOnApp && this.whyOnApp.trim().length > 0;
   const hasLookingFor = !!this.lookingFor && this.lookingFor.trim().length > 0;
   const hasRelationshipIntent = !!this.relationshipIntent;
-  const hasInterestedIn = this.interestedIn && this.interestedIn.length > 0;
+  const hasInterestedIn = this.preferences?.genders && this.preferences.genders.length > 0;
   const hasCity = this.location?.city && this.location.city.trim().length > 0;
   
   this.isComplete = hasName && hasBio && hasPhotos && hasInterests && 
@@ -295,12 +394,12 @@ profileSchema.pre('save', function(next) {
     logger.info(`Profile completion check for user ${this.user}:`, {
       hasName,
       hasBio: hasBio ? `yes (${this.bio?.trim().length || 0} chars)` : 'no',
-      hasPhotos: hasPhotos ? `yes (${this.photos?.length || 0} photos)` : 'no',
+      hasPhotos: `${hasPhotos ? 'yes' : 'no'} (${visiblePhotos.length} of ${this.photos?.length || 0} photos visible)`,
       hasInterests: hasInterests ? `yes (${this.interests?.length || 0} interests)` : 'no',
       hasWhyOnApp,
       hasLookingFor,
       hasRelationshipIntent,
-      hasInterestedIn: hasInterestedIn ? `yes (${this.interestedIn?.length || 0})` : 'no',
+      hasInterestedIn: hasInterestedIn ? `yes (${this.preferences.genders.length})` : 'no',
       hasCity: hasCity ? `yes (${this.location?.city})` : 'no',
       isComplete: this.isComplete
     });
@@ -311,11 +410,52 @@ profileSchema.pre('save', function(next) {
   next();
 });
 
-// Virtual for main photo
+// Pre-save middleware to note changes to the fields discovery candidates are matched on
+profileSchema.pre('save', function(next) {
+  this.$locals.matchingChanged = !this.isNew && MATCHING_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+// Post-save middleware to have the user's precomputed discovery candidates rebuilt
+profileSchema.post('save', async function(doc) {
+  if (doc.$locals.matchingChanged) {
+    const logger = require('../utils/logger');
+    await DiscoveryCandidate.invalidate(doc.user).catch(error => {
+      logger.error('Discovery candidate invalidation error:', error);
+    });
+  }
+});
+
+// Virtual for main photo (approved photos only)
 profileSchema.virtual('mainPhoto').get(function() {
-  if (!this.photos || this.photos.length === 0) return null;
-  const mainPhoto = this.photos.find(p => p.isMain);
-  return mainPhoto ? mainPhoto.url : this.photos[0].url;
+  const photos = getVisiblePhotos(this.photos);
+  if (photos.length === 0) return null;
+  const mainPhoto = photos.find(p => p.isMain);
+  return mainPhoto ? mainPhoto.url : photos[0].url;
+});
+
+/**
+ * Check a college/workplace affiliation for a current verified badge
+ * Works on documents and plain (lean/aggregate) objects
+ */
+const isAffiliationVerified = (affiliation) => {
+  return !!(affiliation?.organization && affiliation.verifiedUntil && new Date(affiliation.verifiedUntil) > Date.now());
+};
+
+// Static method to check an affiliation from a plain profile object
+profileSchema.statics.isAffiliationVerified = isAffiliationVerified;
+
+// Method to check if a college/workplace affiliation has a current verified badge
+profileSchema.methods.hasVerifiedAffiliation = function(kind) {
+  return isAffiliationVerified(this[kind]);
+};
+
+// Virtual for verified affiliation badges
+profileSchema.virtual('verifiedAffiliations').get(function() {
+  return {
+    college: isAffiliationVerified(this.college),
+    workplace: isAffiliationVerified(this.workplace)
+  };
 });
 
 // Method to get public profile (for sharing)
@@ -326,12 +466,14 @@ profileSchema.methods.getPublicProfile = function(isAnonymous = false) {
   delete profile.socialHandles;
   delete profile.isReported;
   delete profile.reportCount;
+  profile.location = toPublicLocation(profile.location);
+  profile.photos = getVisiblePhotos(profile.photos);
   
   if (isAnonymous && this.photoBlurForAnonymous) {
     // Return blurred photo URLs
     profile.photos = profile.photos.map(photo => ({
       ...photo,
-      url: photo.url.replace('/upload/', '/upload/e_blur:1000/')
+      url: getBlurredImageUrl(photo.url)
     }));
   }
   
@@ -357,8 +499,8 @@ profileSchema.statics.findDiscoverable = function(excludeUserId, filters = {}) {
   if (filters.ageMin) query.age = { $gte: filters.ageMin };
   if (filters.ageMax) query.age = { ...query.age, $lte: filters.ageMax };
   if (filters.gender) query.gender = filters.gender;
-  if (filters.city) query['location.city'] = new RegExp(filters.city, 'i');
-  if (filters.college) query['college.name'] = new RegExp(filters.college, 'i');
+  if (filters.city) query['location.city'] = new RegExp(escapeRegex(filters.city), 'i');
+  if (filters.collegeId) query['college.organization'] = filters.collegeId;
   if (filters.interests && filters.interests.length > 0) {
     query.interests = { $in: filters.interests };
   }
@@ -366,6 +508,99 @@ profileSchema.statics.findDiscoverable = function(excludeUserId, filters = {}) {
   return this.find(query);
 };
 
+// Static method to find profiles within maxDistanceKm of a point, nearest first
+// Results are plain objects with `distance` in meters
+profileSchema.statics.findNearby = function(coordinates, maxDistanceKm, query = {}, options = {}) {
+  const { skip = 0, limit = 20, select } = options;
+
+  const pipeline = [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        key: 'location.coordinates',
+        distanceField: 'distance',
+        maxDistance: maxDistanceKm * 1000,
+        spherical: true,
+        // Aggregation doesn't cast, so cast the filter like a find() would
+        // Profiles without captured coordinates sit at the [0, 0] default
+        query: this.find({ ...query, 'location.coordinates.coordinates': { $ne: [0, 0] } }).cast(this)
+      }
+    },
+    { $skip: skip },
+    { $limit: limit }
+  ];
+
+  if (select) {
+    const projection = { user: 1, distance: 1, locationPrecision: 1 };
+    select.split(' ').filter(Boolean).forEach(field => { projection[field] = 1; });
+    pipeline.push({ $project: projection });
+  }
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to count profiles within maxDistanceKm of a point
+profileSchema.statics.countNearby = function(coordinates, maxDistanceKm, query = {}) {
+  return this.countDocuments({
+    ...query,
+    'location.coordinates.coordinates': { $ne: [0, 0] },
+    'location.coordinates': {
+      $geoWithin: { $centerSphere: [coordinates, maxDistanceKm / 6378.1] }
+    }
+  });
+};
+
+// Static method to build a two-sided match filter: profiles that fit the viewer's preferences
+// and whose preferences fit the viewer. Explicit gender/age filters replace the viewer's own.
+profileSchema.statics.buildMatchFilter = function(viewer, { gender, ageMin, ageMax } = {}) {
+  const preferences = viewer.preferences || {};
+  const conditions = [];
+
+  // Viewer's side
+  const genders = preferences.genders || [];
+  if (!gender && genders.length > 0 && !genders.includes('everyone')) {
+    conditions.push({ gender: { $in: genders } });
+  }
+  if (!ageMin && preferences.ageMin) {
+    conditions.push({ age: { $gte: preferences.ageMin } });
+  }
+  if (!ageMax && preferences.ageMax) {
+    conditions.push({ age: { $lte: preferences.ageMax } });
+  }
+  if (preferences.intents?.length > 0) {
+    conditions.push({ relationshipIntent: { $in: preferences.intents } });
+  }
+
+  // Candidate's side (no preference set means open to anyone)
+  conditions.push({
+    $or: [
+      { 'preferences.genders': { $in: viewer.gender ? [viewer.gender, 'everyone'] : ['everyone'] } },
+      { 'preferences.genders.0': { $exists: false } }
+    ]
+  });
+  if (viewer.age) {
+    conditions.push({ 'preferences.ageMin': { $not: { $gt: viewer.age } } });
+    conditions.push({ 'preferences.ageMax': { $not: { $lt: viewer.age } } });
+  }
+  if (viewer.relationshipIntent) {
+    conditions.push({
+      $or: [
+        { 'preferences.intents': viewer.relationshipIntent },
+        { 'preferences.intents.0': { $exists: false } }
+      ]
+    });
+  }
+
+  return { $and: conditions };
+};
+
+// Static method to check a profile's preferred distance, and optionally the viewer's (distanceKm null when unknown)
+profileSchema.statics.isWithinPreferredDistance = function(profile, distanceKm, viewerMaxDistanceKm = null) {
+  if (distanceKm === null || distanceKm === undefined) return true;
+  const limits = [profile.preferences?.maxDistanceKm, viewerMaxDistanceKm].filter(Boolean);
+  return limits.every(limit => distanceKm <= limit);
+};
+
 const Profile = mongoose.model('Profile', profileSchema);
 
 module.exports = Profile;
@@ -83,6 +83,8 @@ const reportSchema = new mongoose.Schema({
     default: false
   },
   autoActionDetails: String,
+  // Set when a party to the report purged their account
+  anonymizedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,59 @@
+/**
+ * Signing Key Model
+ * RSA key pairs used to sign access tokens (identified by kid)
+ */
+
+const mongoose = require('mongoose');
+
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['RS256'],
+    default: 'RS256'
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  // AES-256-GCM encrypted PEM (see utils/jwtKeys)
+  privateKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // active: signs new tokens, retired: verify only, revoked: rejected
+  status: {
+    type: String,
+    enum: ['active', 'retired', 'revoked'],
+    default: 'active'
+  },
+  retiredAt: Date,
+  // Retired keys are deleted after this date
+  expiresAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+signingKeySchema.index({ status: 1, createdAt: -1 });
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get keys usable for verification
+signingKeySchema.statics.getVerificationKeys = function() {
+  return this.find({ status: { $in: ['active', 'retired'] } }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
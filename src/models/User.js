@@ -6,12 +6,22 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { verifyCode, generateBackupCodes, hashBackupCode } = require('../utils/totp');
+const UsernameHistory = require('./UsernameHistory');
+
+// Clients that don't send X-Device-Id are told apart by user agent and IP address
+const getDeviceFingerprint = ({ userAgent = '', ipAddress = '' }) => {
+  const hash = crypto.createHash('sha256').update(`${userAgent}|${ipAddress}`).digest('hex');
+  return `fp_${hash.substring(0, 32)}`;
+};
 
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
-    required: [true, 'Email is required'],
+    // Phone sign-ups may add an email later
+    required: [function() { return !this.phone; }, 'Email is required'],
     unique: true,
+    sparse: true,
     lowercase: true,
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
@@ -26,6 +36,14 @@ const userSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // E.164 format, e.g. +919876543210
+  phone: {
+    type: String,
+    unique: true,
+    sparse: true,
+    match: [/^\+[1-9]\d{7,14}$/, 'Please provide a valid phone number']
+  },
+  phoneVerifiedAt: Date,
   username: {
     type: String,
     required: true,
@@ -38,14 +56,105 @@ const userSchema = new mongoose.Schema({
   },
   passwordResetToken: String,
   passwordResetExpires: Date,
+  magicLinkToken: String,
+  magicLinkExpires: Date,
+  emailVerifiedAt: Date,
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
+  // Pending change to a new address (confirmed from the new inbox)
+  emailChange: {
+    newEmail: String,
+    token: String,
+    expires: Date
+  },
+  // Lets the previous address undo a confirmed change
+  emailRevert: {
+    previousEmail: String,
+    token: String,
+    expires: Date
+  },
+  // One entry per device session (refresh token family)
   refreshTokens: [{
+    // Legacy raw token (sessions created before rotation was introduced)
     token: String,
+    // SHA-256 of the current refresh token in this family
+    tokenHash: String,
+    familyId: String,
     deviceId: String,
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web', 'unknown'],
+      default: 'unknown'
+    },
+    ipAddress: String,
+    userAgent: String,
+    appVersion: String,
     createdAt: {
       type: Date,
       default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
+  // Devices that have signed in to this account
+  knownDevices: [{
+    deviceId: String,
+    platform: String,
+    ipAddress: String,
+    userAgent: String,
+    firstSeenAt: Date,
+    lastSeenAt: Date,
+    // SHA-256 of the "this wasn't me" token sent with the new-device alert
+    secureToken: String,
+    secureTokenExpires: Date,
+    reportedAt: Date
+  }],
+  // Set when the owner reports a sign-in they don't recognise
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    unlockToken: String,
+    unlockTokenExpires: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted TOTP time step (prevents code replay)
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   role: {
     type: String,
     enum: ['user', 'premium', 'admin'],
@@ -53,7 +162,7 @@ const userSchema = new mongoose.Schema({
   },
   accountStatus: {
     type: String,
-    enum: ['active', 'suspended', 'deleted'],
+    enum: ['active', 'suspended', 'pending_deletion', 'deleted'],
     default: 'active'
   },
   oneSignalPlayerId: String,
@@ -113,6 +222,12 @@ const userSchema = new mongoose.Schema({
     default: Date.now
   },
   updatedAt: Date,
+  // Grace period before a self-requested deletion is purged
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    previousVisibility: String
+  },
   deletedAt: Date
 }, {
   timestamps: true,
@@ -128,12 +243,22 @@ userSchema.virtual('profile', {
   justOne: true
 });
 
+// Virtual for email verification status
+userSchema.virtual('isEmailVerified').get(function() {
+  return !!this.emailVerifiedAt;
+});
+
+// Virtual for phone verification status
+userSchema.virtual('isPhoneVerified').get(function() {
+  return !!this.phoneVerifiedAt;
+});
+
 // Index for efficient queries
-userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ googleId: 1 });
 userSchema.index({ accountStatus: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ accountStatus: 1, 'deletion.scheduledFor': 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -151,6 +276,15 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to list linked sign-in methods (password must be selected)
+userSchema.methods.getLoginMethods = function() {
+  const methods = [];
+  if (this.password) methods.push('password');
+  if (this.googleId) methods.push('google');
+  if (this.phone && this.phoneVerifiedAt) methods.push('phone');
+  return methods;
+};
+
 // Method to generate password reset token
 userSchema.methods.createPasswordResetToken = function() {
   const token = crypto.randomBytes(32).toString('hex');
@@ -159,6 +293,266 @@ userSchema.methods.createPasswordResetToken = function() {
   return token;
 };
 
+// Method to generate magic-link login token
+userSchema.methods.createMagicLinkToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.magicLinkToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.magicLinkExpires = Date.now() + 15 * 60 * 1000; // 15 minutes
+  return token;
+};
+
+// Method to generate email verification token
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Method to start an email change (returns plain confirmation token)
+userSchema.methods.createEmailChangeToken = function(newEmail) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailChange = {
+    newEmail: newEmail.toLowerCase(),
+    token: crypto.createHash('sha256').update(token).digest('hex'),
+    expires: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
+  };
+  return token;
+};
+
+// Method to apply a confirmed email change (returns plain revert token for the old address)
+// Returns null when adding a first email (phone sign-ups) - there is nothing to revert to -
+// and while an earlier change can still be reverted, so a second change can't replace that link
+userSchema.methods.applyEmailChange = function() {
+  let token = null;
+  const hasActiveRevert = this.emailRevert?.token && this.emailRevert.expires > Date.now();
+  if (this.email && !hasActiveRevert) {
+    token = crypto.randomBytes(32).toString('hex');
+    this.emailRevert = {
+      previousEmail: this.email,
+      token: crypto.createHash('sha256').update(token).digest('hex'),
+      expires: Date.now() + 7 * 24 * 60 * 60 * 1000 // 7 days
+    };
+  }
+  this.email = this.emailChange.newEmail;
+  this.emailChange = undefined;
+  this.markEmailVerified();
+  return token;
+};
+
+// Method to mark email as verified
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Method to check if account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!(this.loginSecurity?.lockedUntil && this.loginSecurity.lockedUntil > Date.now());
+};
+
+// Method to get remaining wait (ms) before the next login attempt is allowed
+userSchema.methods.getLoginRetryDelay = function(policy) {
+  const { failedAttempts = 0, lastFailedAt } = this.loginSecurity || {};
+  if (!lastFailedAt || failedAttempts < policy.progressiveDelayAfter) return 0;
+
+  // Exponential backoff: 1s, 2s, 4s... capped at 5 minutes
+  const delayMs = Math.min(2 ** (failedAttempts - policy.progressiveDelayAfter) * 1000, 5 * 60 * 1000);
+  return Math.max(lastFailedAt.getTime() + delayMs - Date.now(), 0);
+};
+
+// Static method to record a failed login attempt in one atomic update, so concurrent attempts all count
+// Returns { user, locked, unlockToken } - unlockToken is only set for the attempt that locked the account
+userSchema.statics.registerFailedLogin = async function(userId, policy) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - policy.failedAttemptWindowMinutes * 60 * 1000);
+
+  // Start a new count when the last failure is outside the window
+  const user = await this.findOneAndUpdate({ _id: userId }, [{
+    $set: {
+      'loginSecurity.failedAttempts': {
+        $cond: [
+          { $gte: ['$loginSecurity.lastFailedAt', windowStart] },
+          { $add: [{ $ifNull: ['$loginSecurity.failedAttempts', 0] }, 1] },
+          1
+        ]
+      },
+      'loginSecurity.lastFailedAt': now
+    }
+  }], { new: true });
+
+  if (!user || user.loginSecurity.failedAttempts < policy.maxFailedAttempts) {
+    return { user, locked: false, unlockToken: null };
+  }
+
+  // Only one of several concurrent attempts over the threshold sets the lock
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const lockedUser = await this.findOneAndUpdate(
+    {
+      _id: userId,
+      $or: [
+        { 'loginSecurity.lockedUntil': null },
+        { 'loginSecurity.lockedUntil': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        'loginSecurity.lockedUntil': new Date(now.getTime() + policy.lockoutMinutes * 60 * 1000),
+        'loginSecurity.unlockToken': crypto.createHash('sha256').update(unlockToken).digest('hex'),
+        'loginSecurity.unlockTokenExpires': new Date(now.getTime() + 24 * 60 * 60 * 1000) // 24 hours
+      }
+    },
+    { new: true }
+  );
+
+  return lockedUser
+    ? { user: lockedUser, locked: true, unlockToken }
+    : { user, locked: true, unlockToken: null };
+};
+
+// Method to clear failed login tracking
+userSchema.methods.resetFailedLogins = function() {
+  this.loginSecurity = { failedAttempts: 0 };
+};
+
+// Static method to hash a refresh token for storage
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Method to add a device session (limit to 5 devices, evict least recently used)
+userSchema.methods.addSession = function(familyId, refreshToken, deviceInfo = {}) {
+  const maxSessions = 5;
+  while (this.refreshTokens.length >= maxSessions) {
+    const oldest = this.refreshTokens.reduce((a, b) =>
+      (a.lastUsedAt || a.createdAt) <= (b.lastUsedAt || b.createdAt) ? a : b
+    );
+    this.refreshTokens.pull(oldest._id);
+  }
+
+  this.refreshTokens.push({
+    tokenHash: this.constructor.hashToken(refreshToken),
+    familyId,
+    ...deviceInfo,
+    createdAt: new Date(),
+    lastUsedAt: new Date()
+  });
+
+  return this.refreshTokens[this.refreshTokens.length - 1];
+};
+
+// Method to find a session by token family
+userSchema.methods.findSession = function(familyId) {
+  return this.refreshTokens.find(s => s.familyId === familyId);
+};
+
+// Method to revoke a session by token family
+userSchema.methods.revokeSession = function(familyId) {
+  const session = this.findSession(familyId);
+  if (session) {
+    this.refreshTokens.pull(session._id);
+  }
+  return !!session;
+};
+
+// Method to record a device sign-in
+// Returns the plain "this wasn't me" token when the device is new and should be alerted on
+// (device.deviceId is the id to store on the session, fingerprinted when the client sent none)
+userSchema.methods.recordDevice = function(deviceInfo = {}) {
+  const deviceId = deviceInfo.deviceId || getDeviceFingerprint(deviceInfo);
+
+  const now = new Date();
+  const known = this.knownDevices.find(d => d.deviceId === deviceId && !d.reportedAt);
+  if (known) {
+    known.lastSeenAt = now;
+    known.ipAddress = deviceInfo.ipAddress;
+    return { isNew: false, device: known };
+  }
+
+  // Don't alert on the very first device, or devices from sessions created before history existed
+  const hasHistory = this.knownDevices.length > 0 || this.refreshTokens.some(s => s.deviceId);
+  const inExistingSession = this.refreshTokens.some(s => s.deviceId === deviceId);
+  const isNew = hasHistory && !inExistingSession;
+
+  const maxDevices = 20;
+  while (this.knownDevices.length >= maxDevices) {
+    const oldest = this.knownDevices.reduce((a, b) => a.lastSeenAt <= b.lastSeenAt ? a : b);
+    this.knownDevices.pull(oldest._id);
+  }
+
+  const secureToken = isNew ? crypto.randomBytes(32).toString('hex') : null;
+
+  this.knownDevices.push({
+    deviceId,
+    platform: deviceInfo.platform,
+    ipAddress: deviceInfo.ipAddress,
+    userAgent: deviceInfo.userAgent,
+    firstSeenAt: now,
+    lastSeenAt: now,
+    ...(isNew && {
+      secureToken: crypto.createHash('sha256').update(secureToken).digest('hex'),
+      secureTokenExpires: Date.now() + 7 * 24 * 60 * 60 * 1000 // 7 days
+    })
+  });
+
+  return { isNew, device: this.knownDevices[this.knownDevices.length - 1], secureToken };
+};
+
+// Method to start the deletion grace period
+userSchema.methods.scheduleDeletion = function(previousVisibility, graceDays = 30) {
+  this.accountStatus = 'pending_deletion';
+  this.deletion = {
+    requestedAt: new Date(),
+    scheduledFor: new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000),
+    previousVisibility
+  };
+  this.refreshTokens = [];
+};
+
+// Method to cancel a pending deletion (returns the profile visibility to restore)
+userSchema.methods.cancelDeletion = function() {
+  const previousVisibility = this.deletion?.previousVisibility;
+  this.accountStatus = 'active';
+  this.deletion = undefined;
+  return previousVisibility;
+};
+
+// Method to generate new backup codes (returns plain codes once)
+userSchema.methods.regenerateBackupCodes = function() {
+  const codes = generateBackupCodes();
+  this.twoFactor.backupCodes = codes.map(code => ({ codeHash: hashBackupCode(code) }));
+  return codes;
+};
+
+// Method to verify a TOTP or backup code (requires twoFactor secrets selected)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!code) return { valid: false };
+
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) {
+      return { valid: false };
+    }
+    this.twoFactor.lastUsedStep = step;
+    return { valid: true, method: 'totp' };
+  }
+
+  const codeHash = hashBackupCode(code);
+  const backupCode = (this.twoFactor.backupCodes || []).find(c => c.codeHash === codeHash && !c.usedAt);
+  if (backupCode) {
+    backupCode.usedAt = new Date();
+    return {
+      valid: true,
+      method: 'backup_code',
+      remainingBackupCodes: this.twoFactor.backupCodes.filter(c => !c.usedAt).length
+    };
+  }
+
+  return { valid: false };
+};
+
 // Method to check if user is premium
 
 // Method to update last active
@@ -172,6 +566,54 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find by phone (E.164)
+userSchema.statics.findByPhone = function(phone) {
+  return this.findOne({ phone });
+};
+
+// Static method to find an active user by current or previous username
+// previousUsername is set when the lookup went through username history
+userSchema.statics.findActiveByUsername = async function(username) {
+  const normalized = username.toLowerCase();
+
+  const user = await this.findOne({ username: normalized, accountStatus: 'active' });
+  if (user) {
+    return { user, previousUsername: null };
+  }
+
+  const ownerId = await UsernameHistory.findLatestOwner(normalized);
+  const renamed = ownerId ? await this.findOne({ _id: ownerId, accountStatus: 'active' }) : null;
+  return { user: renamed, previousUsername: renamed ? normalized : null };
+};
+
+// Static method to check if a username can be claimed
+userSchema.statics.isUsernameAvailable = async function(username, userId = null) {
+  const normalized = username.toLowerCase();
+
+  const existing = await this.findOne({ username: normalized }).select('_id');
+  if (existing && (!userId || existing._id.toString() !== userId.toString())) {
+    return false;
+  }
+
+  return !(await UsernameHistory.isReserved(normalized, userId));
+};
+
+// Static method to check email availability
+// Addresses that can still be restored by an email change revert count as taken
+userSchema.statics.isEmailAvailable = async function(email, userId = null) {
+  const normalized = email.toLowerCase();
+
+  const existing = await this.findOne({
+    ...(userId && { _id: { $ne: userId } }),
+    $or: [
+      { email: normalized },
+      { 'emailRevert.previousEmail': normalized, 'emailRevert.expires': { $gt: Date.now() } }
+    ]
+  }).select('_id');
+
+  return !existing;
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ accountStatus: 'active' });
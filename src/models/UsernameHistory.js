@@ -0,0 +1,65 @@
+/**
+ * Username History Model
+ * Keeps previous usernames so old share links and QR codes keep working
+ */
+
+const mongoose = require('mongoose');
+
+// Released usernames can't be claimed by anyone else for this long
+const RESERVATION_DAYS = 90;
+
+const usernameHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reservedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+usernameHistorySchema.index({ username: 1, changedAt: -1 });
+usernameHistorySchema.index({ user: 1, changedAt: -1 });
+
+// Static method to record a released username
+usernameHistorySchema.statics.recordChange = function(userId, oldUsername) {
+  return this.create({
+    user: userId,
+    username: oldUsername,
+    reservedUntil: new Date(Date.now() + RESERVATION_DAYS * 24 * 60 * 60 * 1000)
+  });
+};
+
+// Static method to check if a username is held for its previous owner
+usernameHistorySchema.statics.isReserved = async function(username, exceptUserId = null) {
+  const query = {
+    username: username.toLowerCase(),
+    reservedUntil: { $gt: new Date() }
+  };
+  if (exceptUserId) {
+    query.user = { $ne: exceptUserId };
+  }
+  return !!(await this.exists(query));
+};
+
+// Static method to find who most recently used a username
+usernameHistorySchema.statics.findLatestOwner = async function(username) {
+  const entry = await this.findOne({ username: username.toLowerCase() }).sort({ changedAt: -1 });
+  return entry ? entry.user : null;
+};
+
+module.exports = mongoose.model('UsernameHistory', usernameHistorySchema);
@@ -0,0 +1,98 @@
+/**
+ * Verification Request Model
+ * Pose-challenge selfies reviewed by admins before a profile gets its verified badge
+ */
+
+const mongoose = require('mongoose');
+
+// Gesture prompts - one is picked at random so selfies can't be reused
+const GESTURES = {
+  thumbs_up: 'Give a thumbs up next to your face',
+  peace_sign: 'Make a peace sign next to your face',
+  hand_on_head: 'Put one hand on top of your head',
+  touch_nose: 'Touch your nose with one finger',
+  wave: 'Wave at the camera with an open palm',
+  three_fingers: 'Hold up three fingers next to your face',
+  point_up: 'Point upwards with one finger',
+  cover_one_eye: 'Cover one eye with your hand'
+};
+
+// A challenge must be answered within this window
+const CHALLENGE_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+const verificationRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true
+  },
+  gesture: {
+    type: String,
+    enum: Object.keys(GESTURES),
+    required: true
+  },
+  challengeExpiresAt: Date,
+  selfie: {
+    publicId: String,
+    uploadedAt: Date
+  },
+  // awaiting_selfie: challenge issued, nothing uploaded yet
+  status: {
+    type: String,
+    enum: ['awaiting_selfie', 'pending', 'approved', 'rejected'],
+    default: 'awaiting_selfie'
+  },
+  submittedAt: Date,
+  // Admin handling
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: {
+    type: String,
+    enum: ['gesture_mismatch', 'face_not_visible', 'face_mismatch', 'poor_quality', 'not_a_live_photo', 'other']
+  },
+  reviewNotes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+verificationRequestSchema.index({ status: 1, submittedAt: 1 });
+verificationRequestSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to get the prompt text for a gesture
+verificationRequestSchema.statics.getGesturePrompt = function(gesture) {
+  return GESTURES[gesture] || null;
+};
+
+// Static method to issue a new gesture challenge, replacing any unanswered one
+verificationRequestSchema.statics.issueChallenge = async function(userId, profileId) {
+  const gestures = Object.keys(GESTURES);
+  const gesture = gestures[Math.floor(Math.random() * gestures.length)];
+
+  await this.deleteMany({ user: userId, status: 'awaiting_selfie' });
+
+  return this.create({
+    user: userId,
+    profile: profileId,
+    gesture,
+    challengeExpiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+  });
+};
+
+// Static method to get the user's most recent request
+verificationRequestSchema.statics.getLatestForUser = function(userId) {
+  return this.findOne({ user: userId }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('VerificationRequest', verificationRequestSchema);
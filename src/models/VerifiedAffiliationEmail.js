@@ -0,0 +1,63 @@
+/**
+ * Verified Affiliation Email Model
+ * The college/work address behind each verified affiliation badge (stored hashed).
+ * An address backs one profile at a time - confirming it on another account moves the badge there.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashEmail = (email) => {
+  return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+};
+
+const verifiedAffiliationEmailSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['college', 'workplace'],
+    required: true
+  },
+  emailHash: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  verifiedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+verifiedAffiliationEmailSchema.index({ kind: 1, emailHash: 1 }, { unique: true });
+verifiedAffiliationEmailSchema.index({ user: 1, kind: 1 });
+
+// Static method to record a confirmed address for a user's affiliation
+// Returns the previous holder's claim when the address backed another account, otherwise null
+verifiedAffiliationEmailSchema.statics.claim = async function(userId, kind, organizationId, email) {
+  const emailHash = hashEmail(email);
+
+  // The user's badge now rests on this address only
+  await this.deleteMany({ user: userId, kind, emailHash: { $ne: emailHash } });
+
+  const previous = await this.findOneAndUpdate(
+    { kind, emailHash },
+    { user: userId, organization: organizationId, verifiedAt: new Date() },
+    { upsert: true, new: false }
+  );
+
+  return previous && !previous.user.equals(userId) ? previous : null;
+};
+
+module.exports = mongoose.model('VerifiedAffiliationEmail', verifiedAffiliationEmailSchema);
@@ -16,6 +16,16 @@ const AppConfig = require('./AppConfig');
 const PurchasedPack = require('./PurchasedPack');
 const Feedback = require('./Feedback');
 const ActivityLog = require('./ActivityLog');
+const DataExport = require('./DataExport');
+const SigningKey = require('./SigningKey');
+const UsernameHistory = require('./UsernameHistory');
+const PhoneOtp = require('./PhoneOtp');
+const Organization = require('./Organization');
+const AffiliationVerification = require('./AffiliationVerification');
+const VerificationRequest = require('./VerificationRequest');
+const FeedSession = require('./FeedSession');
+const DiscoveryCandidate = require('./DiscoveryCandidate');
+const VerifiedAffiliationEmail = require('./VerifiedAffiliationEmail');
 
 module.exports = {
   User,
@@ -31,6 +41,16 @@ module.exports = {
   AppConfig,
   PurchasedPack,
   Feedback,
-  ActivityLog
+  ActivityLog,
+  DataExport,
+  SigningKey,
+  UsernameHistory,
+  PhoneOtp,
+  Organization,
+  AffiliationVerification,
+  VerificationRequest,
+  FeedSession,
+  DiscoveryCandidate,
+  VerifiedAffiliationEmail
 };
 
@@ -47,7 +47,28 @@ const {
   getBlocks,
   getBlockDetails,
   removeBlock,
-  getBlockStats
+  getBlockStats,
+  
+  // Security
+  getSigningKeys,
+  rotateSigningKeys,
+  
+  // Organizations
+  getOrganizations,
+  createOrganization,
+  updateOrganization,
+  mergeOrganization,
+  
+  // Photo Verification
+  getVerifications,
+  getVerificationDetails,
+  approveVerification,
+  rejectVerification,
+  
+  // Photo Moderation
+  getPhotoQueue,
+  approvePhotos,
+  rejectPhotos
 } = require('../controllers/adminController');
 
 const { protect, requireAdmin } = require('../middleware/auth');
@@ -102,4 +123,25 @@ router.get('/analytics', getAnalytics);
 // ==================== ACTIVITY LOGS ====================
 router.get('/activity-logs', getActivityLogs);
 
+// ==================== SECURITY ====================
+router.get('/security/signing-keys', getSigningKeys);
+router.post('/security/rotate-keys', rotateSigningKeys);
+
+// ==================== ORGANIZATIONS ====================
+router.get('/organizations', getOrganizations);
+router.post('/organizations', createOrganization);
+router.put('/organizations/:organizationId', updateOrganization);
+router.post('/organizations/:organizationId/merge', mergeOrganization);
+
+// ==================== PHOTO VERIFICATION ====================
+router.get('/verifications', getVerifications);
+router.get('/verifications/:requestId', getVerificationDetails);
+router.post('/verifications/:requestId/approve', approveVerification);
+router.post('/verifications/:requestId/reject', rejectVerification);
+
+// ==================== PHOTO MODERATION ====================
+router.get('/photos', getPhotoQueue);
+router.post('/photos/approve', approvePhotos);
+router.post('/photos/reject', rejectPhotos);
+
 module.exports = router;
@@ -9,28 +9,55 @@ const {
   login,
   verifyGoogleToken,
   googleAuth,
+  verifyTwoFactorLogin,
+  requestMagicLink,
+  verifyMagicLink,
+  requestPhoneOtp,
+  verifyPhoneOtp,
   forgotPassword,
   resetPassword,
+  confirmEmailChange,
+  revertEmailChange,
+  secureAccount,
+  unlockAccount,
+  verifyEmail,
+  resendVerificationEmail,
   refreshToken,
   logout,
   logoutAll,
+  getSessions,
+  revokeSession,
   getMe,
   updateDeviceToken
 } = require('../controllers/authController');
 const { protect, createActionLimiter } = require('../middleware/auth');
-const { validateSignup, validateLogin, validateGoogleAuth } = require('../middleware/validators');
+const { validateSignup, validateLogin, validateMagicLink, validatePhoneOtp, validatePhoneVerify, validateGoogleAuth, validateId } = require('../middleware/validators');
 
 // Rate limiters
 const loginLimiter = createActionLimiter('login', 5, 15 * 60 * 1000); // 5 attempts per 15 min
 const signupLimiter = createActionLimiter('signup', 3, 60 * 60 * 1000); // 3 per hour
+const twoFactorLimiter = createActionLimiter('two-factor', 5, 15 * 60 * 1000); // 5 attempts per 15 min
+const verificationLimiter = createActionLimiter('verification email', 5, 60 * 60 * 1000); // 5 per hour
+const magicLinkLimiter = createActionLimiter('magic link', 5, 60 * 60 * 1000); // 5 per hour
+const phoneOtpLimiter = createActionLimiter('phone code', 10, 60 * 60 * 1000); // 10 per hour
 
 // Public routes
 router.post('/signup', signupLimiter, validateSignup, signup);
 router.post('/login', loginLimiter, validateLogin, login);
 router.post('/google/verify', validateGoogleAuth, verifyGoogleToken);
 router.post('/google', validateGoogleAuth, googleAuth);
+router.post('/2fa/verify', twoFactorLimiter, verifyTwoFactorLogin);
+router.post('/magic-link', magicLinkLimiter, validateMagicLink, requestMagicLink);
+router.post('/magic-link/verify', loginLimiter, verifyMagicLink);
+router.post('/phone/otp', phoneOtpLimiter, validatePhoneOtp, requestPhoneOtp);
+router.post('/phone/verify', loginLimiter, validatePhoneVerify, verifyPhoneOtp);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password/:token', resetPassword);
+router.post('/email-change/confirm', verificationLimiter, confirmEmailChange);
+router.post('/email-change/revert', verificationLimiter, revertEmailChange);
+router.post('/secure-account', verificationLimiter, secureAccount);
+router.post('/unlock-account', verificationLimiter, unlockAccount);
+router.post('/verify-email', verifyEmail);
 router.post('/refresh-token', refreshToken);
 
 // Protected routes
@@ -38,7 +65,10 @@ router.use(protect);
 router.get('/me', getMe);
 router.post('/logout', logout);
 router.post('/logout-all', logoutAll);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', validateId, revokeSession);
 router.post('/device-token', updateDeviceToken);
+router.post('/verify-email/resend', verificationLimiter, resendVerificationEmail);
 
 module.exports = router;
 
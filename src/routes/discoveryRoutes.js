@@ -13,14 +13,15 @@ const {
   getCollegeProfiles,
   getWorkplaceProfiles
 } = require('../controllers/discoveryController');
-const { protect, requireCompleteProfile } = require('../middleware/auth');
-const { validateId } = require('../middleware/validators');
+const { protect, requireCompleteProfile, requireVerified } = require('../middleware/auth');
+const { validateId, validateDiscovery } = require('../middleware/validators');
 
 router.use(protect);
 router.use(requireCompleteProfile);
+router.use(requireVerified('discovery'));
 
-router.get('/', getDiscoveryFeed);
-router.get('/smart-feed', getSmartFeed);
+router.get('/', validateDiscovery, getDiscoveryFeed);
+router.get('/smart-feed', validateDiscovery, getSmartFeed);
 router.get('/sections', getFeedSections);
 router.post('/skip/:profileId', skipProfile);
 router.get('/filters', getFilterOptions);
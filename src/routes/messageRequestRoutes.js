@@ -14,14 +14,14 @@ const {
   markAsRead,
   getRequestStats
 } = require('../controllers/messageRequestController');
-const { protect, requireCompleteProfile } = require('../middleware/auth');
+const { protect, requireCompleteProfile, requireVerified } = require('../middleware/auth');
 const { validateMessageRequest, validateId } = require('../middleware/validators');
 
 router.use(protect);
 router.use(requireCompleteProfile);
 
 // Request management
-router.post('/', validateMessageRequest, sendRequest);
+router.post('/', requireVerified('requests'), validateMessageRequest, sendRequest);
 router.get('/pending', getPendingRequests);
 router.get('/sent', getSentRequests);
 router.get('/stats', getRequestStats);
@@ -22,7 +22,9 @@ const {
   reportScreenshot
 } = require('../controllers/messageController');
 const { protect, requireCompleteProfile } = require('../middleware/auth');
-const { validateMessage, validateId } = require('../middleware/validators');
+const { validateMessage, validateMediaMessage, validateId } = require('../middleware/validators');
+const { uploadChatMedia, deleteImage } = require('../config/storage');
+const logger = require('../utils/logger');
 
 router.use(protect);
 router.use(requireCompleteProfile);
@@ -32,6 +34,29 @@ router.get('/conversations', getConversations);
 router.get('/conversations/:conversationId', getConversation);
 router.get('/conversations/:conversationId/messages', getMessages);
 router.post('/conversations/:conversationId/messages', validateMessage, sendMessage);
+router.post('/conversations/:conversationId/media', (req, res, next) => {
+  uploadChatMedia.single('image')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? 'File too large. Maximum size is 5MB'
+          : err.message || 'Error uploading file'
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Please upload an image' });
+    }
+
+    // The image is stored before the message checks run - remove it if the message isn't sent
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        deleteImage(req.file.filename).catch(error => logger.error('Error deleting unsent chat image:', error));
+      }
+    });
+    next();
+  });
+}, validateMediaMessage, sendMessage);
 
 // Conversation actions
 router.post('/conversations/:conversationId/mute', muteConversation);
@@ -0,0 +1,19 @@
+/**
+ * Organization Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  searchOrganizations,
+  getOrganization
+} = require('../controllers/organizationController');
+const { protect } = require('../middleware/auth');
+
+// Used during profile setup, so a complete profile isn't required
+router.use(protect);
+
+router.get('/', searchOrganizations);
+router.get('/:organizationId', getOrganization);
+
+module.exports = router;
@@ -14,11 +14,24 @@ const {
   setMainPhoto,
   getProfileByUsername,
   getProfileByUserId,
-  getShareInfo
+  getShareInfo,
+  requestAffiliationVerification,
+  confirmAffiliationVerification,
+  getVerificationStatus,
+  startVerification,
+  submitVerificationSelfie
 } = require('../controllers/profileController');
-const { protect, optionalAuth } = require('../middleware/auth');
-const { uploadProfilePhoto } = require('../config/cloudinary');
-const { validateProfileSetup, validateProfileUpdate, validateUsername } = require('../middleware/validators');
+const { protect, optionalAuth, createActionLimiter } = require('../middleware/auth');
+const { uploadProfilePhoto, uploadVerificationSelfie } = require('../config/storage');
+const {
+  validateProfileSetup,
+  validateProfileUpdate,
+  validateUsername,
+  validateAffiliationEmail,
+  validateAffiliationCode
+} = require('../middleware/validators');
+
+const affiliationCodeLimiter = createActionLimiter('affiliation code', 10, 60 * 60 * 1000); // 10 per hour
 
 // Public routes (with optional auth)
 router.get('/user/:username', optionalAuth, validateUsername, getProfileByUsername);
@@ -31,6 +44,8 @@ router.get('/', getMyProfile);
 router.put('/', validateProfileUpdate, updateProfile);
 router.get('/share', getShareInfo);
 router.get('/user-id/:userId', getProfileByUserId);
+router.post('/affiliations/:kind/verify', affiliationCodeLimiter, validateAffiliationEmail, requestAffiliationVerification);
+router.post('/affiliations/:kind/confirm', affiliationCodeLimiter, validateAffiliationCode, confirmAffiliationVerification);
 
 // Photo management - with error handling for multer
 router.post('/photos', (req, res, next) => {
@@ -74,6 +89,23 @@ router.delete('/photos/:photoId', deletePhoto);
 router.put('/photos/reorder', reorderPhotos);
 router.put('/photos/:photoId/main', setMainPhoto);
 
+// Photo verification (gesture selfie reviewed by admins)
+router.get('/verification', getVerificationStatus);
+router.post('/verification/challenge', startVerification);
+router.post('/verification', (req, res, next) => {
+  uploadVerificationSelfie.single('selfie')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? 'File too large. Maximum size is 5MB'
+          : err.message || 'Error uploading file'
+      });
+    }
+    next();
+  });
+}, submitVerificationSelfie);
+
 
 module.exports = router;
 
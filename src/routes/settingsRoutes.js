@@ -9,12 +9,33 @@ const {
   updatePrivacySettings,
   updateNotificationSettings,
   changePassword,
+  getIdentities,
+  linkGoogle,
+  unlinkGoogle,
+  setPassword,
+  linkPhone,
+  verifyPhone,
+  unlinkPhone,
   updateEmail,
   changeUsername,
-  exportData,
-  deleteAccount
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  deleteAccount,
+  restoreAccount
 } = require('../controllers/settingsController');
-const { protect } = require('../middleware/auth');
+const { protect, createActionLimiter } = require('../middleware/auth');
+const { validateSetPassword, validatePhoneOtp, validatePhoneVerify } = require('../middleware/validators');
+
+const twoFactorLimiter = createActionLimiter('two-factor', 10, 15 * 60 * 1000); // 10 attempts per 15 min
+const phoneCodeLimiter = createActionLimiter('phone code', 10, 60 * 60 * 1000); // 10 per hour
+
+// Public - authorized by the emailed download token
+router.get('/export/download/:token', downloadDataExport);
 
 router.use(protect);
 
@@ -22,10 +43,23 @@ router.get('/', getSettings);
 router.put('/privacy', updatePrivacySettings);
 router.put('/notifications', updateNotificationSettings);
 router.put('/password', changePassword);
+router.get('/identities', getIdentities);
+router.post('/identities/google', linkGoogle);
+router.delete('/identities/google', unlinkGoogle);
+router.post('/identities/password', validateSetPassword, setPassword);
+router.post('/identities/phone', phoneCodeLimiter, validatePhoneOtp, linkPhone);
+router.post('/identities/phone/verify', phoneCodeLimiter, validatePhoneVerify, verifyPhone);
+router.delete('/identities/phone', unlinkPhone);
 router.put('/email', updateEmail);
 router.put('/username', changeUsername);
-router.get('/export', exportData);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', twoFactorLimiter, enableTwoFactor);
+router.delete('/2fa', twoFactorLimiter, disableTwoFactor);
+router.post('/2fa/backup-codes', twoFactorLimiter, regenerateBackupCodes);
+router.get('/export', getDataExports);
+router.post('/export', requestDataExport);
 router.delete('/account', deleteAccount);
+router.post('/account/restore', restoreAccount);
 
 module.exports = router;
 
@@ -14,7 +14,7 @@ const { protect, optionalAuth } = require('../middleware/auth');
 const { validateId, validateUsername } = require('../middleware/validators');
 
 // Public routes
-router.get('/check-username/:username', checkUsernameAvailability);
+router.get('/check-username/:username', optionalAuth, checkUsernameAvailability);
 router.get('/username/:username', optionalAuth, validateUsername, getUserByUsername);
 
 // Protected routes
@@ -4,10 +4,10 @@
  */
 
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
+const { verifyAccessToken } = require('../utils/jwtKeys');
 const logger = require('../utils/logger');
 
 let io = null;
@@ -37,13 +37,20 @@ const initializeSocket = (server) => {
         return next(new Error('Authentication required'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
+      if (decoded.type) {
+        return next(new Error('Authentication failed'));
+      }
       const user = await User.findById(decoded.id).select('-password');
 
       if (!user || user.accountStatus !== 'active') {
         return next(new Error('User not found or inactive'));
       }
 
+      if (decoded.sid && !user.findSession(decoded.sid)) {
+        return next(new Error('Session revoked'));
+      }
+
       socket.userId = user._id.toString();
       socket.user = user;
       next();
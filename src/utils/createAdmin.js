@@ -60,7 +60,7 @@ const createAdmin = async () => {
       
       user.role = 'admin';
       user.accountStatus = 'active';
-      user.isEmailVerified = true;
+      if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
       await user.save();
       
       console.log('✅ User updated to admin successfully!');
@@ -84,7 +84,7 @@ const createAdmin = async () => {
         username: username,
         role: 'admin',
         accountStatus: 'active',
-        isEmailVerified: true,
+        emailVerifiedAt: new Date(),
       });
 
       console.log('✅ Admin user created successfully!');
@@ -0,0 +1,229 @@
+/**
+ * Discovery Candidates
+ * Candidate queries shared by the discovery feeds and the precompute job (jobs/discoveryCandidates).
+ * Precomputed lists are only pruned incrementally (skips, requests, blocks), so reading one
+ * re-checks every candidate against the live profiles and the viewer's current exclusions,
+ * and re-ranks them.
+ */
+
+const Profile = require('../models/Profile');
+const Block = require('../models/Block');
+const Skip = require('../models/Skip');
+const MessageRequest = require('../models/MessageRequest');
+const DiscoveryCandidate = require('../models/DiscoveryCandidate');
+const {
+  createRanker,
+  getProfileDistanceKm,
+  RANKING_FIELDS,
+  RANKING_USER_FIELDS
+} = require('./ranking');
+const { hasCoordinates, escapeRegex } = require('./helpers');
+
+// Card fields (plus everything the ranking signals need)
+const CARD_FIELDS = `name alias age gender locationPrecision promptAnswers whyOnApp lookingFor ${RANKING_FIELDS}`;
+const CARD_USER_FIELDS = `username accountStatus ${RANKING_USER_FIELDS}`;
+
+/**
+ * Viewer's coordinates (null if not shared)
+ */
+const getOrigin = (myProfile) => {
+  return hasCoordinates(myProfile.location) ? [...myProfile.location.coordinates.coordinates] : null;
+};
+
+/**
+ * Ranker for a viewer from the ranking config
+ */
+const createViewerRanker = (myProfile, origin, appConfig) => {
+  const { ranking, limits, affiliationVerification } = appConfig;
+  return createRanker(myProfile, {
+    weights: ranking.weights,
+    origin,
+    nearbyRadiusKm: limits.nearbyRadiusKm,
+    rankVerifiedFirst: affiliationVerification.rankVerifiedFirst
+  });
+};
+
+/**
+ * Sort for same-college/workplace profiles, verified badges first when enabled
+ */
+const getAffiliationSort = (kind, rankVerifiedFirst) => {
+  return rankVerifiedFirst ? { [`${kind}.verifiedUntil`]: -1 } : {};
+};
+
+/**
+ * User IDs the viewer shouldn't see: blocks either way, skips, open or accepted requests, and themselves
+ */
+const getExcludedIds = async (userId) => {
+  const [blockedIds, skippedUserIds, requests] = await Promise.all([
+    Block.getAllBlockRelatedUserIds(userId),
+    Skip.getSkippedUserIds(userId),
+    MessageRequest.find({
+      $or: [
+        { sender: userId },
+        { recipient: userId }
+      ],
+      status: { $in: ['pending', 'accepted'] }
+    }).select('sender recipient').lean()
+  ]);
+
+  return [
+    ...blockedIds,
+    ...skippedUserIds.map(id => id.toString()),
+    ...requests.flatMap(r => [r.sender.toString(), r.recipient.toString()]),
+    userId.toString()
+  ];
+};
+
+/**
+ * Base query with two-sided preference matching
+ * filters: explicit { gender, ageMin, ageMax } from the request, replacing the viewer's preferences
+ */
+const buildBaseQuery = (excludedIds, myProfile, filters = {}) => {
+  const query = {
+    user: { $nin: excludedIds },
+    visibility: 'discoverable',
+    showInFeed: true,
+    isComplete: true,
+    isBanned: false,
+    ...Profile.buildMatchFilter(myProfile, filters)
+  };
+
+  // Apply gender filter
+  if (filters.gender && filters.gender !== 'everyone') {
+    query.gender = filters.gender;
+  }
+
+  return query;
+};
+
+/**
+ * Drop profiles outside their preferred distance (or the viewer's, when given)
+ */
+const filterByPreferredDistance = (profiles, origin, viewerMaxDistanceKm = null) => {
+  return profiles.filter(p => Profile.isWithinPreferredDistance(p, getProfileDistanceKm(p, origin), viewerMaxDistanceKm));
+};
+
+/**
+ * Rank active profiles within both sides' preferred distance, best first
+ */
+const rankCandidates = (profiles, myProfile, origin, rankProfile) => {
+  return filterByPreferredDistance(profiles, origin, myProfile.preferences?.maxDistanceKm)
+    .filter(profile => profile.user?.accountStatus === 'active')
+    .map(profile => ({ profile, ...rankProfile(profile) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Gather candidates from workplace, college, nearby and random pools and rank them together
+ * Returns [{ profile, score, connectionType, breakdown }] best first
+ */
+const gatherSmartCandidates = async (myProfile, { baseQuery, origin, appConfig, rankProfile, size }) => {
+  const { limits, affiliationVerification } = appConfig;
+  const { rankVerifiedFirst } = affiliationVerification;
+  const poolSize = Math.ceil(size / 4);
+
+  // Track all fetched profile IDs to avoid duplicates
+  const fetchedProfileIds = new Set();
+  const candidates = [];
+
+  const addCandidates = (profiles) => {
+    for (const profile of profiles) {
+      if (!fetchedProfileIds.has(profile._id.toString())) {
+        fetchedProfileIds.add(profile._id.toString());
+        candidates.push(profile);
+      }
+    }
+  };
+
+  // POOL 1: Same Workplace
+  if (myProfile.workplace?.organization) {
+    addCandidates(await Profile.find({
+      ...baseQuery,
+      'workplace.organization': myProfile.workplace.organization
+    })
+    .populate({ path: 'user', select: CARD_USER_FIELDS })
+    .select(CARD_FIELDS)
+    .sort(getAffiliationSort('workplace', rankVerifiedFirst))
+    .limit(poolSize));
+  }
+
+  // POOL 2: Same College
+  if (myProfile.college?.organization) {
+    addCandidates(await Profile.find({
+      ...baseQuery,
+      'college.organization': myProfile.college.organization
+    })
+    .populate({ path: 'user', select: CARD_USER_FIELDS })
+    .select(CARD_FIELDS)
+    .sort(getAffiliationSort('college', rankVerifiedFirst))
+    .limit(poolSize));
+  }
+
+  // POOL 3: Nearby (by distance when coordinates are shared, otherwise same city)
+  if (origin) {
+    const nearbyProfiles = await Profile.findNearby(origin, limits.nearbyRadiusKm, baseQuery, {
+      limit: poolSize,
+      select: CARD_FIELDS
+    });
+    addCandidates(await Profile.populate(nearbyProfiles, { path: 'user', select: CARD_USER_FIELDS }));
+  } else if (myProfile.location?.city) {
+    addCandidates(await Profile.find({
+      ...baseQuery,
+      'location.city': { $regex: new RegExp(escapeRegex(myProfile.location.city), 'i') }
+    })
+    .populate({ path: 'user', select: CARD_USER_FIELDS })
+    .select(CARD_FIELDS)
+    .limit(poolSize));
+  }
+
+  // POOL 4: Random/Other Profiles
+  // Aggregation doesn't cast, so cast the filter like a find() would (excluded ids are strings)
+  const randomProfiles = await Profile.aggregate([
+    { $match: Profile.find({
+      ...baseQuery,
+      _id: { $nin: candidates.map(profile => profile._id) }
+    }).cast(Profile) },
+    { $sample: { size: Math.max(size - candidates.length, poolSize) } }
+  ]);
+
+  // Populate user for random profiles
+  addCandidates(await Profile.populate(randomProfiles, {
+    path: 'user',
+    select: CARD_USER_FIELDS
+  }));
+
+  return rankCandidates(candidates, myProfile, origin, rankProfile);
+};
+
+/**
+ * Ranked candidates from the viewer's precomputed list
+ * Returns null when there is no fresh list (new users, or matching fields changed since)
+ */
+const loadPrecomputedCandidates = async (myProfile, { origin, rankProfile }) => {
+  const precomputed = await DiscoveryCandidate.findFresh(myProfile.user);
+  if (!precomputed) return null;
+
+  // Profiles and exclusions may have changed since the list was built, so the full base query is applied again
+  const excludedIds = await getExcludedIds(myProfile.user);
+  const profiles = await Profile.find({
+    ...buildBaseQuery(excludedIds, myProfile),
+    _id: { $in: precomputed.candidates.map(c => c.profile) }
+  })
+  .populate({ path: 'user', select: CARD_USER_FIELDS })
+  .select(CARD_FIELDS);
+
+  return rankCandidates(profiles, myProfile, origin, rankProfile);
+};
+
+module.exports = {
+  CARD_FIELDS,
+  CARD_USER_FIELDS,
+  getOrigin,
+  createViewerRanker,
+  getAffiliationSort,
+  getExcludedIds,
+  buildBaseQuery,
+  filterByPreferredDistance,
+  gatherSmartCandidates,
+  loadPrecomputedCandidates
+};
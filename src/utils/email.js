@@ -156,6 +156,330 @@ const sendPasswordResetEmail = async (email, token, name) => {
   });
 };
 
+/**
+ * Send passwordless login link
+ */
+const sendMagicLinkEmail = async (email, token, name) => {
+  const loginUrl = `${process.env.FRONTEND_URL}/magic-link?token=${token}`;
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { text-align: center; padding: 20px 0; }
+        .logo { font-size: 32px; font-weight: bold; color: #FF6B6B; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 10px; }
+        .button { display: inline-block; padding: 12px 30px; background: #FF6B6B; color: white; text-decoration: none; border-radius: 25px; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #888; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">bibbly</div>
+        </div>
+        <div class="content">
+          <h2>Your login link</h2>
+          <p>Hey ${name},</p>
+          <p>Tap the button below to log in to bibbly on your device:</p>
+          <center>
+            <a href="${loginUrl}" class="button">Log In</a>
+          </center>
+          <p>Or copy and paste this link in your browser:</p>
+          <p style="word-break: break-all; color: #666;">${loginUrl}</p>
+          <p>This link expires in 15 minutes and can only be used once.</p>
+          <p><strong>If you didn't request this, you can safely ignore this email.</strong></p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} bibbly. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: 'Your bibbly login link 🔑',
+    html,
+    text: `Hey ${name}! Log in to bibbly: ${loginUrl}. This link expires in 15 minutes.`
+  });
+};
+
+/**
+ * Send new-device sign-in alert with a "this wasn't me" link
+ */
+const sendNewDeviceEmail = async (email, name, device, token) => {
+  const secureUrl = `${process.env.FRONTEND_URL}/secure-account?token=${token}`;
+  const platform = device.platform && device.platform !== 'unknown' ? device.platform : 'new';
+  const signedInAt = (device.firstSeenAt || new Date()).toUTCString();
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { text-align: center; padding: 20px 0; }
+        .logo { font-size: 32px; font-weight: bold; color: #FF6B6B; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 10px; }
+        .button { display: inline-block; padding: 12px 30px; background: #FF6B6B; color: white; text-decoration: none; border-radius: 25px; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #888; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">bibbly</div>
+        </div>
+        <div class="content">
+          <h2>New sign-in to your account</h2>
+          <p>Hey ${name},</p>
+          <p>Your bibbly account was just accessed from a ${platform} device.</p>
+          <p style="color: #666;">
+            Time: ${signedInAt}<br>
+            IP address: ${device.ipAddress || 'Unknown'}
+          </p>
+          <p>If this was you, there's nothing else to do.</p>
+          <p><strong>If this wasn't you</strong>, secure your account now. We'll sign you out everywhere and ask you to choose a new password.</p>
+          <center>
+            <a href="${secureUrl}" class="button">This Wasn't Me</a>
+          </center>
+          <p>Or copy and paste this link in your browser:</p>
+          <p style="word-break: break-all; color: #666;">${secureUrl}</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} bibbly. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: 'New sign-in to your bibbly account 🔔',
+    html,
+    text: `Hey ${name}! Your account was accessed from a ${platform} device. If this wasn't you, secure your account: ${secureUrl}`
+  });
+};
+
+/**
+ * Send data export ready email with download link
+ */
+const sendDataExportEmail = async (email, name, downloadUrl, expiresAt) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { text-align: center; padding: 20px 0; }
+        .logo { font-size: 32px; font-weight: bold; color: #FF6B6B; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 10px; }
+        .button { display: inline-block; padding: 12px 30px; background: #FF6B6B; color: white; text-decoration: none; border-radius: 25px; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #888; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">bibbly</div>
+        </div>
+        <div class="content">
+          <h2>Your data export is ready</h2>
+          <p>Hey ${name},</p>
+          <p>The copy of your bibbly data you asked for is ready. It includes your account, profile, messages, requests, blocks, reports, notifications, profile views, purchases and login devices.</p>
+          <center>
+            <a href="${downloadUrl}" class="button">Download Archive</a>
+          </center>
+          <p>Or copy and paste this link in your browser:</p>
+          <p style="word-break: break-all; color: #666;">${downloadUrl}</p>
+          <p>This link expires on ${new Date(expiresAt).toUTCString()}.</p>
+          <p><strong>If you didn't request this, please change your password and contact support.</strong></p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} bibbly. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: 'Your bibbly data export is ready 📦',
+    html,
+    text: `Hey ${name}! Your data export is ready: ${downloadUrl}. The link expires on ${new Date(expiresAt).toUTCString()}.`
+  });
+};
+
+/**
+ * Send email change confirmation to the new address
+ */
+const sendEmailChangeConfirmEmail = async (newEmail, token, name) => {
+  const confirmUrl = `${process.env.FRONTEND_URL}/confirm-email-change?token=${token}`;
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { text-align: center; padding: 20px 0; }
+        .logo { font-size: 32px; font-weight: bold; color: #FF6B6B; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 10px; }
+        .button { display: inline-block; padding: 12px 30px; background: #FF6B6B; color: white; text-decoration: none; border-radius: 25px; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #888; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">bibbly</div>
+        </div>
+        <div class="content">
+          <h2>Confirm your new email</h2>
+          <p>Hey ${name},</p>
+          <p>You asked to change the email on your bibbly account to this address. Confirm the change by clicking the button below:</p>
+          <center>
+            <a href="${confirmUrl}" class="button">Confirm Email</a>
+          </center>
+          <p>Or copy and paste this link in your browser:</p>
+          <p style="word-break: break-all; color: #666;">${confirmUrl}</p>
+          <p>This link expires in 24 hours. Until you confirm, your current email stays active.</p>
+          <p><strong>If you didn't request this, you can safely ignore this email.</strong></p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} bibbly. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: newEmail,
+    subject: 'Confirm your new bibbly email ✉️',
+    html,
+    text: `Hey ${name}! Confirm your new email address: ${confirmUrl}. This link expires in 24 hours.`
+  });
+};
+
+/**
+ * Send email changed notice to the previous address with a revert link
+ */
+const sendEmailChangedNoticeEmail = async (oldEmail, token, name, newEmail) => {
+  const revertUrl = `${process.env.FRONTEND_URL}/revert-email-change?token=${token}`;
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { text-align: center; padding: 20px 0; }
+        .logo { font-size: 32px; font-weight: bold; color: #FF6B6B; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 10px; }
+        .button { display: inline-block; padding: 12px 30px; background: #FF6B6B; color: white; text-decoration: none; border-radius: 25px; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #888; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">bibbly</div>
+        </div>
+        <div class="content">
+          <h2>Your email was changed</h2>
+          <p>Hey ${name},</p>
+          <p>The email on your bibbly account was just changed to <strong>${newEmail}</strong>.</p>
+          <p>If this was you, there's nothing else to do.</p>
+          <p><strong>If this wasn't you</strong>, undo the change now. We'll restore this address, sign out every device and ask you to choose a new password.</p>
+          <center>
+            <a href="${revertUrl}" class="button">Undo Email Change</a>
+          </center>
+          <p>Or copy and paste this link in your browser:</p>
+          <p style="word-break: break-all; color: #666;">${revertUrl}</p>
+          <p>This link expires in 7 days.</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} bibbly. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: oldEmail,
+    subject: 'Your bibbly email was changed 🔐',
+    html,
+    text: `Hey ${name}! Your bibbly email was changed to ${newEmail}. If this wasn't you, undo it within 7 days: ${revertUrl}`
+  });
+};
+
+/**
+ * Send account locked email with unlock link
+ */
+const sendAccountLockedEmail = async (email, token, name, lockedUntil) => {
+  const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${token}`;
+  const minutes = Math.max(Math.ceil((new Date(lockedUntil) - Date.now()) / 60000), 1);
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { text-align: center; padding: 20px 0; }
+        .logo { font-size: 32px; font-weight: bold; color: #FF6B6B; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 10px; }
+        .button { display: inline-block; padding: 12px 30px; background: #FF6B6B; color: white; text-decoration: none; border-radius: 25px; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #888; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">bibbly</div>
+        </div>
+        <div class="content">
+          <h2>Your account has been locked</h2>
+          <p>Hey ${name},</p>
+          <p>We noticed several failed login attempts on your account, so we've locked it for ${minutes} minutes to keep it safe.</p>
+          <p>If this was you, you can unlock your account right away:</p>
+          <center>
+            <a href="${unlockUrl}" class="button">Unlock Account</a>
+          </center>
+          <p>Or copy and paste this link in your browser:</p>
+          <p style="word-break: break-all; color: #666;">${unlockUrl}</p>
+          <p><strong>If this wasn't you, someone may be trying to access your account. We recommend resetting your password.</strong></p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} bibbly. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: 'Your bibbly account has been locked 🔒',
+    html,
+    text: `Hey ${name}! Your account was locked after several failed login attempts. Unlock it here: ${unlockUrl}`
+  });
+};
+
 /**
  * Send welcome email after verification
  */
@@ -216,9 +540,64 @@ const sendWelcomeEmail = async (email, name, username) => {
   });
 };
 
+/**
+ * Send college/work email verification code
+ */
+const sendAffiliationCodeEmail = async (email, code, name, organizationName, expiryMinutes) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { text-align: center; padding: 20px 0; }
+        .logo { font-size: 32px; font-weight: bold; color: #FF6B6B; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 10px; }
+        .code { font-size: 32px; font-weight: bold; letter-spacing: 8px; text-align: center; color: #FF6B6B; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #888; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">bibbly</div>
+        </div>
+        <div class="content">
+          <h2>Verify your ${organizationName} email</h2>
+          <p>Hey ${name},</p>
+          <p>Enter this code in bibbly to get a verified badge for ${organizationName}:</p>
+          <div class="code">${code}</div>
+          <p>This code expires in ${expiryMinutes} minutes. We only use this address to confirm your affiliation - it isn't shown on your profile.</p>
+          <p><strong>If you didn't request this, you can safely ignore this email.</strong></p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} bibbly. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: `Your bibbly ${organizationName} verification code`,
+    html,
+    text: `Hey ${name}! Your code to verify ${organizationName} on bibbly is ${code}. It expires in ${expiryMinutes} minutes.`
+  });
+};
+
 module.exports = {
   sendEmail,
+  sendVerificationEmail,
   sendPasswordResetEmail,
-  sendWelcomeEmail
+  sendMagicLinkEmail,
+  sendNewDeviceEmail,
+  sendDataExportEmail,
+  sendEmailChangeConfirmEmail,
+  sendEmailChangedNoticeEmail,
+  sendAccountLockedEmail,
+  sendWelcomeEmail,
+  sendAffiliationCodeEmail
 };
 
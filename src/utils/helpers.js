@@ -36,6 +36,15 @@ const generateProfileLink = (username) => {
   return `${baseUrl}/${username}`;
 };
 
+/**
+ * Build redirect hint for a lookup that matched a previous username
+ */
+const buildUsernameRedirect = (fromUsername, toUsername) => ({
+  from: fromUsername,
+  to: toUsername,
+  profileLink: generateProfileLink(toUsername)
+});
+
 /**
  * Generate deep link for mobile app
  */
@@ -89,9 +98,51 @@ const sanitizeUser = (user) => {
   delete sanitized.refreshTokens;
   delete sanitized.passwordResetToken;
   delete sanitized.passwordResetExpires;
+  delete sanitized.magicLinkToken;
+  delete sanitized.magicLinkExpires;
+  delete sanitized.emailVerificationToken;
+  delete sanitized.emailVerificationExpires;
+  delete sanitized.loginSecurity;
+  delete sanitized.emailRevert;
+  sanitized.emailChange = sanitized.emailChange?.newEmail
+    ? { newEmail: sanitized.emailChange.newEmail, expires: sanitized.emailChange.expires }
+    : undefined;
+  if (sanitized.knownDevices) {
+    sanitized.knownDevices = sanitized.knownDevices.map(({ secureToken, secureTokenExpires, ...device }) => device);
+  }
+  if (sanitized.twoFactor) {
+    sanitized.twoFactor = {
+      enabled: !!sanitized.twoFactor.enabled,
+      enabledAt: sanitized.twoFactor.enabledAt
+    };
+  }
   return sanitized;
 };
 
+/**
+ * Extract device/session info from request headers
+ */
+const getDeviceInfo = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  let platform = 'unknown';
+  if (/android/i.test(userAgent)) {
+    platform = 'android';
+  } else if (/iphone|ipad|ios|cfnetwork|darwin/i.test(userAgent)) {
+    platform = 'ios';
+  } else if (/mozilla/i.test(userAgent)) {
+    platform = 'web';
+  }
+
+  return {
+    // Left unset when missing - User.recordDevice falls back to user agent and IP
+    deviceId: req.headers['x-device-id'],
+    platform,
+    ipAddress: req.ip,
+    userAgent: userAgent.substring(0, 300),
+    appVersion: req.headers['x-app-version']
+  };
+};
+
 /**
  * Generate random token
  */
@@ -99,6 +150,110 @@ const generateToken = (length = 32) => {
   return crypto.randomBytes(length).toString('hex');
 };
 
+/**
+ * Parse coordinates from request input
+ * Accepts { latitude, longitude }, a GeoJSON point or a [longitude, latitude] array
+ * Returns [longitude, latitude] or null if missing/invalid
+ */
+const parseCoordinates = (input) => {
+  if (!input) return null;
+
+  let longitude;
+  let latitude;
+  if (input.latitude !== undefined && input.longitude !== undefined) {
+    ({ latitude, longitude } = input);
+  } else {
+    const pair = Array.isArray(input) ? input : input.coordinates;
+    if (!Array.isArray(pair) || pair.length !== 2) return null;
+    [longitude, latitude] = pair;
+  }
+
+  longitude = Number(longitude);
+  latitude = Number(latitude);
+  if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) return null;
+  if (longitude < -180 || longitude > 180 || latitude < -90 || latitude > 90) return null;
+  // [0, 0] is the schema default and means "not captured"
+  if (longitude === 0 && latitude === 0) return null;
+
+  return [longitude, latitude];
+};
+
+/**
+ * Check if a profile location has captured coordinates
+ */
+const hasCoordinates = (location) => {
+  const pair = location?.coordinates?.coordinates;
+  return Array.isArray(pair) && pair.length === 2 && !(pair[0] === 0 && pair[1] === 0);
+};
+
+/**
+ * Great-circle distance in km between two [longitude, latitude] pairs
+ */
+const getDistanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (deg) => deg * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Location as shown to other users (coordinates are never exposed)
+ */
+const toPublicLocation = (location) => {
+  if (!location) return location;
+  return {
+    city: location.city,
+    state: location.state,
+    country: location.country
+  };
+};
+
+/**
+ * Grid cell size (degrees) stored coordinates are snapped to, per precision setting
+ * exact ~500 m, neighborhood ~2 km, city ~11 km
+ */
+const LOCATION_PRECISION_GRID = {
+  exact: 0.005,
+  neighborhood: 0.02,
+  city: 0.1
+};
+
+/**
+ * Snap [longitude, latitude] to the centre of its grid cell
+ * Repeated distance readings can then only narrow a user down to the cell
+ */
+const snapCoordinates = ([longitude, latitude], precision = 'neighborhood') => {
+  const cell = LOCATION_PRECISION_GRID[precision] || LOCATION_PRECISION_GRID.neighborhood;
+  const snap = (value) => Number((Math.floor(value / cell) * cell + cell / 2).toFixed(6));
+  return [snap(longitude), snap(latitude)];
+};
+
+/**
+ * Round a distance for display ("x km away")
+ * Never finer than the profile's grid; city-only profiles show no distance
+ */
+const roundDistanceKm = (km, precision = 'neighborhood') => {
+  if (precision === 'city') return null;
+  const minimum = precision === 'neighborhood' ? 2 : 1;
+  return Math.max(minimum, Math.round(km));
+};
+
+/**
+ * Get photos other users may see (pending/rejected photos are hidden)
+ */
+const getVisiblePhotos = (photos) => {
+  return (photos || []).filter(photo => (photo.moderationStatus || 'approved') === 'approved');
+};
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 /**
  * Mask email for privacy
  */
@@ -110,6 +265,24 @@ const maskEmail = (email) => {
   return `${maskedLocal}@${domain}`;
 };
 
+/**
+ * Normalize a phone number to E.164 (+<country code><number>)
+ * Returns null if the number is not valid
+ */
+const normalizePhone = (phone, defaultCountryCode = '91') => {
+  if (!phone) return null;
+  let digits = String(phone).trim().replace(/[\s\-().]/g, '');
+
+  if (digits.startsWith('00')) {
+    digits = `+${digits.slice(2)}`;
+  } else if (!digits.startsWith('+')) {
+    // Local number, optionally with a trunk prefix (e.g. 0 98765 43210)
+    digits = `+${defaultCountryCode}${digits.replace(/^0+/, '')}`;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(digits) ? digits : null;
+};
+
 /**
  * Format message preview for notifications
  */
@@ -157,12 +330,23 @@ const paginateArray = (array, page = 1, limit = 20) => {
 module.exports = {
   generateUsername,
   generateProfileLink,
+  buildUsernameRedirect,
   generateDeepLink,
   generateQRCode,
   calculateAge,
   sanitizeUser,
+  getDeviceInfo,
   generateToken,
+  escapeRegex,
+  getVisiblePhotos,
   maskEmail,
+  normalizePhone,
+  parseCoordinates,
+  hasCoordinates,
+  getDistanceKm,
+  snapCoordinates,
+  roundDistanceKm,
+  toPublicLocation,
   formatMessagePreview,
   isWithinDays,
   getStartOfToday,
@@ -0,0 +1,60 @@
+/**
+ * Image Processing
+ * Every upload is re-encoded before it is stored: metadata (EXIF incl. GPS, XMP) is dropped,
+ * orientation is applied to the pixels and the image is fitted within the max dimensions.
+ */
+
+const sharp = require('sharp');
+
+// Refuse decompression bombs before decoding
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Generated variants (always JPEG)
+const VARIANTS = {
+  thumbnail: (image) => image.resize(150, 150, { fit: 'cover' }).jpeg({ quality: 80 }),
+  blur: (image) => image.resize(400, 400, { fit: 'inside' }).blur(30).jpeg({ quality: 70 })
+};
+
+/**
+ * Process an uploaded image
+ * Returns the full image ({ buffer, format, extension, width, height }) and its variant buffers
+ */
+const processImage = async (buffer, { maxDimension, format, withVariants = true }) => {
+  const { format: sourceFormat } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  if (!SUPPORTED_FORMATS.includes(sourceFormat)) {
+    throw new Error(`Unsupported image format: ${sourceFormat}`);
+  }
+
+  // Keep the source format when none is forced (e.g. GIFs in chat)
+  const outputFormat = format === 'jpg' ? 'jpeg' : format || sourceFormat;
+  const animated = outputFormat === 'gif';
+
+  // sharp writes no metadata unless asked to; rotate() bakes in the EXIF orientation first
+  const { data, info } = await sharp(buffer, { animated, limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(outputFormat, { quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+  const variants = {};
+  await Promise.all(Object.entries(withVariants ? VARIANTS : {}).map(async ([variant, transform]) => {
+    variants[variant] = await transform(sharp(data)).toBuffer();
+  }));
+
+  return {
+    buffer: data,
+    format: outputFormat,
+    extension: outputFormat === 'jpeg' ? 'jpg' : outputFormat,
+    width: info.width,
+    // Animated images report the height of all frames stacked
+    height: info.pageHeight || info.height,
+    variants
+  };
+};
+
+module.exports = {
+  processImage,
+  VARIANT_NAMES: Object.keys(VARIANTS)
+};
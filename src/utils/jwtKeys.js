@@ -0,0 +1,213 @@
+/**
+ * JWT Signing Keys
+ * RS256 access-token signing with kid headers, key rotation and JWKS
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SigningKey = require('../models/SigningKey');
+const logger = require('./logger');
+
+// How long a retired key keeps verifying tokens (must exceed access token lifetime)
+const RETIRED_KEY_RETENTION_DAYS = 30;
+// How often other instances pick up rotated keys
+const CACHE_TTL_MS = 60 * 1000;
+// Minimum gap between reloads triggered by unknown kids
+const MISS_RELOAD_INTERVAL_MS = 10 * 1000;
+// Longest-lived HS256 access token issued before the switch to RS256
+const LEGACY_TOKEN_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+let cache = {
+  keys: new Map(), // kid -> { publicKey, privateKey, status }
+  signingKid: null,
+  loadedAt: 0
+};
+let lastMissReload = 0;
+let loading = null;
+
+/**
+ * Derive the key used to encrypt private keys at rest
+ */
+const getEncryptionKey = () => {
+  const secret = process.env.JWT_KEY_ENCRYPTION_SECRET;
+  if (!secret) {
+    throw new Error('JWT_KEY_ENCRYPTION_SECRET is not set');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const encryptPrivateKey = (pem) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptPrivateKey = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Load verification keys (and the current signing key) from the database
+ */
+const loadKeys = async () => {
+  if (loading) return loading;
+
+  loading = (async () => {
+    const keys = await SigningKey.getVerificationKeys().select('+privateKey');
+    const map = new Map();
+    let signingKid = null;
+
+    for (const key of keys) {
+      const entry = { publicKey: key.publicKey, status: key.status };
+      // Newest active key signs; only decrypt that one
+      if (key.status === 'active' && !signingKid) {
+        try {
+          entry.privateKey = decryptPrivateKey(key.privateKey);
+          signingKid = key.kid;
+        } catch (error) {
+          // Encrypted with another secret - it keeps verifying, and a new key is created for signing
+          logger.warn(`Signing key ${key.kid} could not be decrypted: ${error.message}`);
+        }
+      }
+      map.set(key.kid, entry);
+    }
+
+    cache = { keys: map, signingKid, loadedAt: Date.now() };
+    return cache;
+  })();
+
+  try {
+    return await loading;
+  } finally {
+    loading = null;
+  }
+};
+
+const getKeys = async () => {
+  if (Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    await loadKeys();
+  }
+  return cache;
+};
+
+/**
+ * Create a new active signing key and retire the previous ones
+ */
+const rotateSigningKey = async (createdBy = null) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const key = await SigningKey.create({
+    kid: crypto.randomBytes(8).toString('hex'),
+    publicKey,
+    privateKey: encryptPrivateKey(privateKey),
+    createdBy
+  });
+
+  const now = new Date();
+  const retired = await SigningKey.updateMany(
+    { status: 'active', _id: { $ne: key._id } },
+    {
+      status: 'retired',
+      retiredAt: now,
+      expiresAt: new Date(now.getTime() + RETIRED_KEY_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    }
+  );
+
+  await loadKeys();
+
+  logger.info(`Signing key rotated: new kid ${key.kid}, retired ${retired.modifiedCount}`);
+
+  return { kid: key.kid, retiredCount: retired.modifiedCount };
+};
+
+/**
+ * Get the current signing key, creating the first one if none exist
+ */
+const getSigningKey = async () => {
+  let keys = await getKeys();
+  if (!keys.signingKid) {
+    await rotateSigningKey();
+    keys = cache;
+  }
+  return { kid: keys.signingKid, privateKey: keys.keys.get(keys.signingKid).privateKey };
+};
+
+/**
+ * Sign an access token with the current key
+ */
+const signAccessToken = async (payload, options = {}) => {
+  const { kid, privateKey } = await getSigningKey();
+  return jwt.sign(payload, privateKey, { ...options, algorithm: 'RS256', keyid: kid });
+};
+
+/**
+ * Verify an access token (throws like jwt.verify)
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid, alg } = decoded.header;
+
+  // Tokens issued before RS256 signing - only accepted when JWT_LEGACY_ISSUED_BEFORE is set (to the
+  // time RS256 was deployed), if issued before then, for at most the old token lifetime
+  if (!kid) {
+    const issuedBefore = Date.parse(process.env.JWT_LEGACY_ISSUED_BEFORE || '');
+    if (Number.isNaN(issuedBefore) || Date.now() >= issuedBefore + LEGACY_TOKEN_MAX_AGE_MS) {
+      throw new jwt.JsonWebTokenError('legacy token no longer accepted');
+    }
+
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    // Typed tokens (e.g. 2FA challenges) share the secret but are not access tokens
+    if (!payload.iat || payload.iat * 1000 >= issuedBefore || payload.type) {
+      throw new jwt.JsonWebTokenError('legacy token no longer accepted');
+    }
+    return payload;
+  }
+
+  let keys = await getKeys();
+  if (!keys.keys.has(kid) && Date.now() - lastMissReload > MISS_RELOAD_INTERVAL_MS) {
+    // Key may have been rotated on another instance
+    lastMissReload = Date.now();
+    keys = await loadKeys();
+  }
+
+  const key = keys.keys.get(kid);
+  if (!key || alg !== 'RS256') {
+    throw new jwt.JsonWebTokenError('invalid signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: ['RS256'] });
+};
+
+/**
+ * Public keys in JWKS format
+ */
+const getJwks = async () => {
+  const { keys } = await getKeys();
+  return {
+    keys: [...keys.entries()].map(([kid, key]) => ({
+      ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+      kid,
+      alg: 'RS256',
+      use: 'sig'
+    }))
+  };
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  rotateSigningKey,
+  getJwks
+};
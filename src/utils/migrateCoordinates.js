@@ -0,0 +1,59 @@
+/**
+ * Migrate Coordinates Script
+ * Usage: node src/utils/migrateCoordinates.js
+ *
+ * Snaps coordinates stored before location precision existed to the grid cell
+ * for each profile's locationPrecision, like saving the profile now does.
+ * Safe to re-run: coordinates already on their cell centre are skipped.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+const { hasCoordinates, snapCoordinates } = require('./helpers');
+
+const migrate = async () => {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGODB_URI_PROD || 'mongodb://localhost:27017/bibbly_dating';
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const cursor = Profile.find({ 'location.coordinates.coordinates': { $exists: true } })
+      .select('location.coordinates locationPrecision')
+      .lean()
+      .cursor();
+
+    let checked = 0;
+    let snapped = 0;
+    for await (const profile of cursor) {
+      if (!hasCoordinates(profile.location)) continue;
+      checked++;
+
+      const current = profile.location.coordinates.coordinates;
+      const coordinates = snapCoordinates(current, profile.locationPrecision);
+      if (coordinates[0] === current[0] && coordinates[1] === current[1]) continue;
+
+      await Profile.updateOne(
+        { _id: profile._id },
+        { $set: { 'location.coordinates.coordinates': coordinates } }
+      );
+      snapped++;
+    }
+
+    console.log(`📍 Snapped coordinates on ${snapped} of ${checked} profiles`);
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('\n✅ Database connection closed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating coordinates:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrate();
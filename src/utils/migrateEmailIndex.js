@@ -0,0 +1,46 @@
+/**
+ * Migrate Email Index Script
+ * Usage: node src/utils/migrateEmailIndex.js
+ *
+ * Replaces the old unique email index with the sparse one, so phone sign-ups without
+ * an email no longer collide on it.
+ * Safe to re-run: a missing index is skipped.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const migrate = async () => {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGODB_URI_PROD || 'mongodb://localhost:27017/bibbly_dating';
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    // The old index has the same name, so it must go before the sparse one can be built
+    try {
+      await User.collection.dropIndex('email_1');
+      console.log('🗑️  Dropped the old email index');
+    } catch (error) {
+      if (error.codeName !== 'IndexNotFound') throw error;
+      console.log('⏭️  No old email index to drop');
+    }
+
+    await User.syncIndexes();
+    console.log('🗂️  User indexes synced');
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('\n✅ Database connection closed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating email index:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrate();
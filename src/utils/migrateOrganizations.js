@@ -0,0 +1,65 @@
+/**
+ * Migrate Organizations Script
+ * Usage: node src/utils/migrateOrganizations.js
+ *
+ * Links existing free-text college/workplace names on profiles to canonical
+ * organizations, creating pending ones for names that aren't known yet.
+ * Safe to re-run: profiles that are already linked are skipped.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+const Organization = require('../models/Organization');
+
+const AFFILIATIONS = [
+  { type: 'college', ref: 'college.organization', name: 'college.name' },
+  { type: 'company', ref: 'workplace.organization', name: 'workplace.company' }
+];
+
+const migrate = async () => {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGODB_URI_PROD || 'mongodb://localhost:27017/bibbly_dating';
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    for (const { type, ref, name } of AFFILIATIONS) {
+      const cursor = Profile.find({
+        [name]: { $exists: true, $ne: '' },
+        [ref]: { $exists: false }
+      }).select(`user ${name}`).lean().cursor();
+
+      let linked = 0;
+      for await (const profile of cursor) {
+        const value = name.split('.').reduce((obj, key) => obj?.[key], profile);
+        const organization = await Organization.resolve(value, type, { createdBy: profile.user });
+        if (!organization) continue;
+
+        await Profile.updateOne(
+          { _id: profile._id },
+          { $set: { [ref]: organization._id, [name]: organization.name } }
+        );
+        linked++;
+      }
+
+      console.log(`🏷️  Linked ${linked} profiles to ${type} organizations`);
+    }
+
+    const pending = await Organization.countDocuments({ status: 'pending' });
+    console.log(`\n📋 Organizations awaiting review: ${pending}`);
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('\n✅ Database connection closed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating organizations:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrate();
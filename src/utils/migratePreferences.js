@@ -0,0 +1,51 @@
+/**
+ * Migrate Preferences Script
+ * Usage: node src/utils/migratePreferences.js
+ *
+ * Moves the old interestedIn gender list on profiles into preferences.genders.
+ * Safe to re-run: profiles without interestedIn are skipped.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+
+const migrate = async () => {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGODB_URI_PROD || 'mongodb://localhost:27017/bibbly_dating';
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    // interestedIn is no longer in the schema, so go through the raw collection
+    const moved = await Profile.collection.updateMany(
+      { interestedIn: { $exists: true }, 'preferences.genders.0': { $exists: false } },
+      [{ $set: { 'preferences.genders': '$interestedIn' } }, { $unset: 'interestedIn' }]
+    );
+    console.log(`🎯 Moved interestedIn to preferences on ${moved.modifiedCount} profiles`);
+
+    // Profiles that already had preferences just drop the old field
+    const cleaned = await Profile.collection.updateMany(
+      { interestedIn: { $exists: true } },
+      { $unset: { interestedIn: 1 } }
+    );
+    console.log(`🧹 Removed leftover interestedIn from ${cleaned.modifiedCount} profiles`);
+
+    // Replace the old { gender, interestedIn } index
+    await Profile.syncIndexes();
+    console.log('🗂️  Profile indexes synced');
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('\n✅ Database connection closed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating preferences:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrate();
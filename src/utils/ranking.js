@@ -0,0 +1,163 @@
+/**
+ * Discovery Ranking
+ * A profile's score is the sum of weighted signals. Each signal returns a strength
+ * between 0 and 1 and is multiplied by its weight from AppConfig (ranking.weights).
+ * A signal is a function (profile, context) => number.
+ */
+
+const Profile = require('../models/Profile');
+const { hasCoordinates, getDistanceKm, getVisiblePhotos } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Activity older than this adds nothing
+const ACTIVITY_WINDOW_DAYS = 14;
+// Profiles get a boost for this long after sign-up
+const NEW_PROFILE_DAYS = 7;
+// Shared interests beyond this count don't add more
+const MAX_SHARED_INTERESTS = 5;
+
+// Linear decay from 1 (now) to 0 (windowDays ago)
+const decay = (date, windowDays) => {
+  if (!date) return 0;
+  const ageDays = (Date.now() - new Date(date).getTime()) / DAY_MS;
+  return Math.max(0, 1 - ageDays / windowDays);
+};
+
+const sameOrganization = (a, b) => {
+  return !!(a?.organization && b?.organization) && a.organization.toString() === b.organization.toString();
+};
+
+/**
+ * Distance (km) between the viewer and a profile
+ * Uses the $geoNear distance when present, otherwise computes it from coordinates
+ */
+const getProfileDistanceKm = (profile, origin) => {
+  if (profile.distance !== undefined) {
+    return profile.distance / 1000;
+  }
+  if (origin && hasCoordinates(profile.location)) {
+    return getDistanceKm(origin, profile.location.coordinates.coordinates);
+  }
+  return null;
+};
+
+const isNearby = (profile, { viewer, origin, nearbyRadiusKm }) => {
+  const sameCity = !!(viewer.location?.city && profile.location?.city) &&
+    profile.location.city.toLowerCase() === viewer.location.city.toLowerCase();
+  const distanceKm = getProfileDistanceKm(profile, origin);
+  return sameCity || (distanceKm !== null && distanceKm <= nearbyRadiusKm);
+};
+
+const signals = {
+  // Affiliation
+  sameWorkplace: (profile, { viewer }) => (sameOrganization(profile.workplace, viewer.workplace) ? 1 : 0),
+  sameCollege: (profile, { viewer }) => (sameOrganization(profile.college, viewer.college) ? 1 : 0),
+
+  nearby: (profile, context) => (isNearby(profile, context) ? 1 : 0),
+
+  sharedInterests: (profile, { viewerInterests }) => {
+    const shared = (profile.interests || []).filter(i => viewerInterests.has(i.toLowerCase()));
+    return Math.min(shared.length, MAX_SHARED_INTERESTS) / MAX_SHARED_INTERESTS;
+  },
+
+  intentMatch: (profile, { viewer }) => {
+    return viewer.relationshipIntent && profile.relationshipIntent === viewer.relationshipIntent ? 1 : 0;
+  },
+
+  // Recency of the account's last activity
+  recentActivity: (profile) => decay(profile.user?.lastActiveAt, ACTIVITY_WINDOW_DAYS),
+
+  completeness: (profile) => {
+    return (
+      Math.min(getVisiblePhotos(profile.photos).length, 4) / 4 * 0.4 +
+      (profile.bio ? 0.2 : 0) +
+      Math.min((profile.promptAnswers || []).length, 3) / 3 * 0.2 +
+      Math.min((profile.interests || []).length, 5) / 5 * 0.2
+    );
+  },
+
+  // Half for the photo badge, half for a verified shared college/workplace
+  verification: (profile, { viewer, rankVerifiedFirst }) => {
+    let strength = profile.isVerified ? 0.5 : 0;
+    if (rankVerifiedFirst && (
+      (sameOrganization(profile.workplace, viewer.workplace) && Profile.isAffiliationVerified(profile.workplace)) ||
+      (sameOrganization(profile.college, viewer.college) && Profile.isAffiliationVerified(profile.college))
+    )) {
+      strength += 0.5;
+    }
+    return strength;
+  },
+
+  // How specifically the profile is looking for someone like the viewer
+  // (mismatches are already filtered out, so this ranks explicit matches above "open to anyone")
+  reciprocal: (profile, { viewer }) => {
+    const { genders = [], intents = [] } = profile.preferences || {};
+    const genderMatch = genders.includes(viewer.gender) ? 1 : genders.length === 0 || genders.includes('everyone') ? 0.5 : 0;
+    const intentMatch = intents.includes(viewer.relationshipIntent) ? 1 : intents.length === 0 ? 0.5 : 0;
+    return (genderMatch + intentMatch) / 2;
+  },
+
+  // Recently joined profiles
+  freshness: (profile) => decay(profile.createdAt, NEW_PROFILE_DAYS)
+};
+
+// Weights for signals registered at runtime that have no AppConfig field
+const defaultWeights = {};
+
+/**
+ * Register an additional signal
+ */
+const registerRankingSignal = (name, signal, defaultWeight = 0) => {
+  signals[name] = signal;
+  defaultWeights[name] = defaultWeight;
+};
+
+/**
+ * Fields a profile needs for every signal (select these when loading candidates)
+ */
+const RANKING_FIELDS = 'photos bio interests promptAnswers isVerified location college workplace relationshipIntent preferences createdAt';
+const RANKING_USER_FIELDS = 'lastActiveAt';
+
+/**
+ * Create a ranking function for a viewer
+ * Returns (profile) => { score, breakdown, connectionType }
+ */
+const createRanker = (viewer, { weights, origin = null, nearbyRadiusKm, rankVerifiedFirst }) => {
+  const context = {
+    viewer,
+    origin,
+    nearbyRadiusKm,
+    rankVerifiedFirst,
+    viewerInterests: new Set((viewer.interests || []).map(i => i.toLowerCase()))
+  };
+
+  return (profile) => {
+    const breakdown = {};
+    let score = 0;
+
+    for (const [name, signal] of Object.entries(signals)) {
+      const weight = weights?.[name] ?? defaultWeights[name] ?? 0;
+      if (!weight) continue;
+
+      const strength = Math.min(Math.max(signal(profile, context) || 0, 0), 1);
+      breakdown[name] = Math.round(weight * strength * 10) / 10;
+      score += weight * strength;
+    }
+
+    let connectionType = null;
+    if (signals.sameWorkplace(profile, context)) connectionType = 'workplace';
+    else if (signals.sameCollege(profile, context)) connectionType = 'college';
+    else if (isNearby(profile, context)) connectionType = 'location';
+
+    return { score, breakdown, connectionType };
+  };
+};
+
+module.exports = {
+  createRanker,
+  registerRankingSignal,
+  getProfileDistanceKm,
+  RANKING_FIELDS,
+  RANKING_USER_FIELDS
+};
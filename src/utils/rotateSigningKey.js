@@ -0,0 +1,47 @@
+/**
+ * Rotate Access Token Signing Key Script
+ * Usage: node src/utils/rotateSigningKey.js
+ *
+ * Creates a new RS256 signing key. Previous keys are retired but keep
+ * verifying existing tokens until they expire, so nobody is logged out.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const SigningKey = require('../models/SigningKey');
+const { rotateSigningKey } = require('./jwtKeys');
+
+const rotate = async () => {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGODB_URI_PROD || 'mongodb://localhost:27017/bibbly_dating';
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const { kid, retiredCount } = await rotateSigningKey();
+
+    console.log('\n🔑 Signing key rotated successfully!');
+    console.log(`   New key ID: ${kid}`);
+    console.log(`   Retired keys: ${retiredCount}`);
+
+    const keys = await SigningKey.find().select('kid status createdAt expiresAt').sort({ createdAt: -1 });
+    console.log('\n📋 Current keys:');
+    keys.forEach(key => {
+      const expires = key.expiresAt ? ` (expires ${key.expiresAt.toISOString()})` : '';
+      console.log(`   ${key.kid}  ${key.status}${expires}`);
+    });
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('\n✅ Database connection closed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error rotating signing key:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run the script
+rotate();
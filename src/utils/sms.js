@@ -0,0 +1,97 @@
+/**
+ * SMS Utility
+ * Delivery goes through a provider selected with SMS_PROVIDER.
+ * A provider is an object with an async send({ to, body }) method.
+ */
+
+const logger = require('./logger');
+
+/**
+ * Console provider - logs messages instead of sending them (local/offline use)
+ */
+const consoleProvider = {
+  send: async ({ to, body }) => {
+    logger.info(`[SMS:console] To ${to}: ${body}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * Twilio provider (REST API, no SDK required)
+ */
+const twilioProvider = {
+  send: async ({ to, body }) => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: body })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Twilio request failed with status ${response.status}`);
+    }
+    return { messageId: data.sid };
+  }
+};
+
+const providers = {
+  console: consoleProvider,
+  twilio: twilioProvider
+};
+
+/**
+ * Register an additional provider (e.g. a regional SMS gateway)
+ */
+const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  // Logged OTP codes would let anyone with log access sign in as the user
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    throw new Error('The console SMS provider is disabled in production - set SMS_PROVIDER');
+  }
+  return provider;
+};
+
+/**
+ * Send SMS
+ */
+const sendSms = async ({ to, body }) => {
+  try {
+    const { messageId } = await getProvider().send({ to, body });
+    logger.info(`SMS sent: ${messageId}`);
+    return { success: true, messageId };
+  } catch (error) {
+    logger.error('Error sending SMS:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send one-time login/verification code
+ */
+const sendOtpSms = async (phone, code, expiryMinutes) => {
+  return sendSms({
+    to: phone,
+    body: `${code} is your bibbly verification code. It expires in ${expiryMinutes} minutes. Never share this code with anyone.`
+  });
+};
+
+module.exports = {
+  sendSms,
+  sendOtpSms,
+  registerSmsProvider
+};